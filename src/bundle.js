@@ -0,0 +1,100 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { Buffer } from 'buffer';
+import ValidationResult from './result.js';
+import { detectFormat } from './payload.js';
+
+/**
+ * Issue locations inside an entry start with its index, e.g. `Bundle.entry[3].resource.name[0]`.
+ */
+const ENTRY_LOCATION = /^Bundle\.entry\[(\d+)\]/;
+
+/**
+ * Returns the bundle as an object, parsing serialized JSON.
+ * Entries can only be told apart in a parsed bundle, so XML is not supported.
+ */
+function parseBundle(bundle) {
+  if (typeof bundle === 'string' || Buffer.isBuffer(bundle)) {
+    if (detectFormat(bundle) === 'xml') {
+      throw new Error('Bundle validation supports JSON bundles only.');
+    }
+    bundle = JSON.parse(bundle.toString());
+  }
+  if (bundle?.resourceType !== 'Bundle') {
+    throw new Error(`Expected a Bundle, got ${bundle?.resourceType ?? 'a resource without resourceType'}.`);
+  }
+  return bundle;
+}
+
+/**
+ * Validation result of a Bundle, with the issues split into bundle-level
+ * issues and issues per entry.
+ */
+class BundleValidationResult {
+  /**
+   * @param {object} bundle - The parsed Bundle
+   * @param {ValidationResult} result - Result of validating the whole Bundle
+   * @param {ValidationResult[]} [standaloneResults] - Results of validating each entry resource on its own, by entry index
+   */
+  constructor(bundle, result, standaloneResults = []) {
+    const entryIssues = (bundle.entry ?? []).map(() => []);
+    const bundleIssues = [];
+
+    for (const issue of result.issues) {
+      const match = issue.location?.match(ENTRY_LOCATION);
+      const index = match ? Number(match[1]) : -1;
+      if (index >= 0 && index < entryIssues.length) entryIssues[index].push(issue);
+      else bundleIssues.push(issue);
+    }
+
+    /** Result of validating the whole Bundle. */
+    this.result = result;
+    /** Issues that don't belong to a single entry. */
+    this.bundle = new ValidationResult({ ...result.raw, issues: bundleIssues });
+    /**
+     * One record per entry, in bundle order. `result` holds the entry's issues from
+     * the Bundle validation; `standaloneResult` the result of validating the entry
+     * resource on its own, when requested.
+     */
+    this.entries = (bundle.entry ?? []).map((entry, index) => ({
+      index,
+      fullUrl: entry.fullUrl ?? null,
+      resourceType: entry.resource?.resourceType ?? null,
+      result: new ValidationResult({ issues: entryIssues[index] }),
+      standaloneResult: standaloneResults[index] ?? null
+    }));
+  }
+
+  /** True when neither the Bundle nor any entry has error or fatal issues. */
+  get isValid() {
+    return this.bundle.isValid && this.entries.every(entry =>
+      entry.result.isValid && (entry.standaloneResult?.isValid ?? true)
+    );
+  }
+
+  /** Entries with error or fatal issues. */
+  get invalidEntries() {
+    return this.entries.filter(entry =>
+      !entry.result.isValid || (entry.standaloneResult && !entry.standaloneResult.isValid)
+    );
+  }
+
+  /**
+   * Looks up an entry by its fullUrl.
+   * @returns {object|undefined}
+   */
+  getEntry(fullUrl) {
+    return this.entries.find(entry => entry.fullUrl === fullUrl);
+  }
+
+  toJSON() {
+    return {
+      bundle: this.bundle,
+      entries: this.entries
+    };
+  }
+}
+
+export { BundleValidationResult, parseBundle };
@@ -0,0 +1,294 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { Buffer } from 'buffer';
+
+/**
+ * Part of every key. Bump it when the cached payloads change shape, so that
+ * entries written by an older version are never read.
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * JSON with object keys sorted, so that key order doesn't make a difference.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+const sha256 = (...parts) => parts.reduce((hash, part) => hash.update(part).update('\0'), crypto.createHash('sha256')).digest('hex');
+
+/**
+ * Local IGs can change on disk under the same path, so their paths are keyed
+ * with the latest modification time and the size of their files.
+ */
+function localIgVersion(ig) {
+  if (!path.isAbsolute(ig) || !fs.existsSync(ig)) return ig;
+  let latest = 0;
+  let size = 0;
+  const visit = (entry) => {
+    const stat = fs.statSync(entry);
+    if (stat.isDirectory()) {
+      fs.readdirSync(entry).forEach(name => visit(path.join(entry, name)));
+    } else {
+      latest = Math.max(latest, stat.mtimeMs);
+      size += stat.size;
+    }
+  };
+  visit(ig);
+  return `${ig}@${latest}:${size}`;
+}
+
+/**
+ * Hash of the validator configuration that results depend on. Results cached
+ * under one scope are never returned under another, so changing the IGs, FHIR
+ * version or terminology server invalidates them.
+ * @param {object} options - Normalized FHIRValidator options
+ * @returns {string}
+ */
+function cacheScope(options) {
+  return sha256(canonicalJson({
+    version: CACHE_VERSION,
+    url: options.url,
+    sv: options.sv,
+    igs: options.igs.map(localIgVersion),
+    conformanceResources: options.conformanceResources,
+    txServer: options.txServer,
+    locale: options.locale,
+    bestPracticeLevel: options.bestPracticeLevel,
+    properties: options.properties
+  }));
+}
+
+/**
+ * In-memory store, least recently used entries evicted first.
+ */
+class MemoryCacheStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=1000]
+   * @param {number} [options.ttlMs=0] - How long entries stay valid, 0 for no limit
+   */
+  constructor({ maxEntries = 1000, ttlMs = 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, expires }, least recently used first
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expires && entry.expires <= Date.now()) return undefined;
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: this.ttlMs ? Date.now() + this.ttlMs : 0 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Store with a file per entry, which outlives the process and can be shared
+ * between processes. Recency is kept in the files' modification times. The
+ * `maxEntries` bound is applied to the entries this process knows about.
+ */
+class FileCacheStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Folder for the entries, created if missing
+   * @param {number} [options.maxEntries=10000]
+   * @param {number} [options.ttlMs=0] - How long entries stay valid, 0 for no limit
+   */
+  constructor({ dir, maxEntries = 10000, ttlMs = 0 } = {}) {
+    if (!dir) throw new Error('FileCacheStore needs a dir.');
+    this.dir = path.resolve(dir);
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.index = null; // key -> true, least recently used first
+    this.loading = null;
+  }
+
+  _file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async _load() {
+    if (this.index) return;
+    if (!this.loading) this.loading = (async () => {
+      await fs.ensureDir(this.dir);
+      const entries = [];
+      for (const name of await fs.readdir(this.dir)) {
+        if (!name.endsWith('.json')) continue;
+        const stat = await fs.stat(path.join(this.dir, name)).catch(() => null);
+        if (stat) entries.push({ key: name.slice(0, -'.json'.length), mtimeMs: stat.mtimeMs });
+      }
+      entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+      this.index = new Map(entries.map(({ key }) => [key, true]));
+    })();
+    await this.loading;
+  }
+
+  async get(key) {
+    await this._load();
+    let entry;
+    try {
+      entry = await fs.readJson(this._file(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.index.delete(key);
+        return undefined;
+      }
+      throw error;
+    }
+    if (entry.expires && entry.expires <= Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+    this.index.delete(key);
+    this.index.set(key, true);
+    const now = new Date();
+    await fs.utimes(this._file(key), now, now).catch(() => {});
+    return entry.value;
+  }
+
+  async set(key, value) {
+    await this._load();
+    // Written aside and renamed, so that other processes never read half an entry
+    const temp = `${this._file(key)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeJson(temp, { expires: this.ttlMs ? Date.now() + this.ttlMs : 0, value });
+    await fs.rename(temp, this._file(key));
+    this.index.delete(key);
+    this.index.set(key, true);
+    while (this.index.size > this.maxEntries) {
+      await this.delete(this.index.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.index?.delete(key);
+    await fs.remove(this._file(key));
+  }
+
+  async clear() {
+    await fs.emptyDir(this.dir);
+    this.index = new Map();
+  }
+}
+
+const isCacheStore = value => value !== null && typeof value === 'object' &&
+  ['get', 'set', 'delete', 'clear'].every(method => typeof value[method] === 'function');
+
+/**
+ * Makes the store for the `cache` option: `true` for the defaults,
+ * `{ store: 'memory' | 'file', maxEntries, ttlMs, dir }`, or a store of your own
+ * with get(), set(), delete() and clear(), sync or async. Values are strings.
+ * @returns {object|null} null if caching is off
+ */
+function createCacheStore(option) {
+  if (!option) return null;
+  if (option === true) return new MemoryCacheStore();
+  if (isCacheStore(option)) return option;
+  const { store = 'memory', ...storeOptions } = option;
+  if (isCacheStore(store)) return store;
+  return store === 'file' ? new FileCacheStore(storeOptions) : new MemoryCacheStore(storeOptions);
+}
+
+/**
+ * Result cache of a validator: keys results by resource, profiles and
+ * configuration scope, and validates identical resources in flight only once.
+ * Cache errors are logged, and the resource is validated as if it missed.
+ */
+class ResultCache {
+  constructor(store, logger) {
+    this.store = store;
+    this.logger = logger;
+    this.hits = 0;
+    this.misses = 0;
+    this.pending = new Map(); // key -> Promise<string>
+  }
+
+  /**
+   * Serialized resources are keyed by their exact text, whitespace included.
+   * Objects are keyed by canonical JSON.
+   */
+  keyFor(scope, resource, profiles, format) {
+    const content = typeof resource === 'string' || Buffer.isBuffer(resource) ? resource : canonicalJson(resource);
+    return sha256(scope, format, canonicalJson([...new Set(profiles)].sort()), content);
+  }
+
+  /**
+   * @param {string} key
+   * @param {() => Promise<object>} validate - Gets the payload when it isn't cached
+   * @returns {Promise<object>} The payload, a copy of its own for every caller
+   */
+  async run(key, validate) {
+    let pending = this.pending.get(key);
+    if (pending) {
+      this.hits++;
+    } else {
+      pending = this._lookup(key, validate);
+      this.pending.set(key, pending);
+      pending.finally(() => this.pending.delete(key)).catch(() => {});
+    }
+    return JSON.parse(await pending);
+  }
+
+  async _lookup(key, validate) {
+    let cached;
+    try {
+      cached = await this.store.get(key);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not read from the validation cache: ${error.message}`);
+    }
+    if (cached !== undefined && cached !== null) {
+      this.hits++;
+      return cached;
+    }
+
+    this.misses++;
+    const serialized = JSON.stringify(await validate());
+    try {
+      await this.store.set(key, serialized);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not write to the validation cache: ${error.message}`);
+    }
+    return serialized;
+  }
+
+  async clear() {
+    try {
+      await this.store.clear();
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not clear the validation cache: ${error.message}`);
+    }
+  }
+}
+
+export { MemoryCacheStore, FileCacheStore, ResultCache, createCacheStore, isCacheStore, cacheScope };
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { createValidatorInstance } from './index.js';
+import { expandInputs } from './files.js';
+import { formatReport, REPORT_FORMATS } from './reporters/index.js';
+import { describeResource } from './reporters/common.js';
+import { detectFormat } from './payload.js';
+
+const USAGE = `Usage: fhir-validate [options] <file|directory|glob>...
+
+Validates FHIR resources in JSON or XML files. Directories are searched for
+.json and .xml files.
+
+Options:
+  --sv <version>             FHIR version (default: 4.0.1)
+  --ig <package|path>        IG to load, e.g. il.core.fhir.r4#0.16.2 or ./package.tgz. Repeatable
+  --profile <url>            Validate against this profile, not only those in meta.profile. Repeatable
+  --tx <url|none>            Terminology server
+  --locale <code>            Language of validation messages
+  --best-practice <level>    ignore, hint, warning or error
+  --url <url>                Use a running validator server instead of starting one
+  --format <format>          Report format: ${REPORT_FORMATS.join(', ')} (default: text)
+  --output <file>            Write the report to a file instead of stdout
+  --log-level <level>        Validator log level, written to stderr (default: warn)
+  -h, --help                 Show this help
+
+Exit codes: 0 when no resource has errors, 1 when any has, 2 when validation could not run.`;
+
+/**
+ * Flags that take a value, and the option each sets. Repeatable flags collect an array.
+ */
+const FLAGS = {
+  '--sv': { name: 'sv' },
+  '--ig': { name: 'igs', repeatable: true },
+  '--profile': { name: 'profiles', repeatable: true },
+  '--tx': { name: 'txServer' },
+  '--locale': { name: 'locale' },
+  '--best-practice': { name: 'bestPracticeLevel' },
+  '--url': { name: 'url' },
+  '--format': { name: 'format' },
+  '--output': { name: 'output' },
+  '--log-level': { name: 'logLevel' }
+};
+
+/** Files read and validated at a time. */
+const CHUNK_SIZE = 100;
+
+const FILE_FORMATS = { '.json': 'json', '.xml': 'xml' };
+
+class UsageError extends Error {}
+
+function parseArgs(args) {
+  const options = { igs: [], profiles: [], format: 'text', logLevel: 'warn' };
+  const inputs = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      inputs.push(arg);
+      continue;
+    }
+
+    // Both `--flag value` and `--flag=value`
+    const [flag, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg];
+    const spec = FLAGS[flag];
+    if (!spec) throw new UsageError(`Unknown option: ${flag}`);
+    const value = inlineValue ?? args[++i];
+    if (value === undefined || value === '') throw new UsageError(`Missing value for ${flag}`);
+
+    if (spec.repeatable) options[spec.name].push(value);
+    else options[spec.name] = value;
+  }
+
+  if (!options.help && !inputs.length) throw new UsageError('No files to validate.');
+  if (!REPORT_FORMATS.includes(options.format)) {
+    throw new UsageError(`Invalid format "${options.format}". Expected one of: ${REPORT_FORMATS.join(', ')}.`);
+  }
+  return { options, inputs };
+}
+
+/**
+ * Reads a resource file, noting its type and id for the report. A file that
+ * doesn't parse is still validated, so that the validator reports where.
+ */
+async function readFileRecord(file) {
+  const record = { file, resourceType: null, id: null, result: null, error: null, source: null };
+  try {
+    record.source = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    record.error = new Error(`Could not read ${file}: ${error.message}`, { cause: error });
+    return record;
+  }
+  try {
+    Object.assign(record, describeResource(record.source));
+  } catch {
+    // Reported by the validator
+  }
+  return record;
+}
+
+/** The format of a file by its extension, or by its content for other files. */
+const fileFormat = record => FILE_FORMATS[path.extname(record.file).toLowerCase()] ?? detectFormat(record.source);
+
+async function validateFiles(validator, files, profiles) {
+  const records = [];
+  for (let start = 0; start < files.length; start += CHUNK_SIZE) {
+    const chunk = await Promise.all(files.slice(start, start + CHUNK_SIZE).map(readFileRecord));
+    const readable = chunk.filter(record => !record.error);
+    for (const format of ['json', 'xml']) {
+      const batch = readable.filter(record => fileFormat(record) === format);
+      if (!batch.length) continue;
+      const outcomes = await validator.validate(batch.map(record => record.source), profiles, { format, settle: true });
+      batch.forEach((record, index) => {
+        if (outcomes[index].status === 'fulfilled') record.result = outcomes[index].value;
+        else record.error = outcomes[index].reason;
+      });
+    }
+    records.push(...chunk);
+  }
+  return records;
+}
+
+async function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return 2;
+  }
+  const { options, inputs } = parsed;
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let validator;
+  try {
+    const files = await expandInputs(inputs);
+    validator = await createValidatorInstance({
+      sv: options.sv,
+      igs: options.igs,
+      txServer: options.txServer,
+      locale: options.locale,
+      bestPracticeLevel: options.bestPracticeLevel,
+      url: options.url,
+      logLevel: options.logLevel,
+      // stdout is for the report
+      logger: { error: console.error, warn: console.error, info: console.error, debug: console.error }
+    });
+
+    const records = await validateFiles(validator, files, options.profiles);
+    const report = formatReport(records, options.format);
+    if (options.output) await fs.outputFile(options.output, report);
+    else process.stdout.write(report);
+
+    const failed = records.some(record => record.error || !record.result.isValid);
+    return failed ? 1 : 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  } finally {
+    await validator?.shutdown();
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  // Not process.exit(), which could cut off a large report still being written
+  process.exitCode = code;
+});
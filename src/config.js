@@ -0,0 +1,92 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import { dirname, join, resolve } from 'path';
+
+const CONFIG_FILE_NAME = 'fhir-validator.config.json';
+
+/**
+ * Environment variables that override the matching keys of the config file.
+ */
+const ENV_OVERRIDES = {
+  mirror: 'FHIR_VALIDATOR_MIRROR',
+  jreArchive: 'FHIR_VALIDATOR_JRE_ARCHIVE',
+  yafvaJar: 'FHIR_VALIDATOR_YAFVA_JAR',
+  offline: 'FHIR_VALIDATOR_OFFLINE',
+  yafvaVersion: 'FHIR_VALIDATOR_YAFVA_VERSION',
+  yafvaSha256: 'FHIR_VALIDATOR_YAFVA_SHA256',
+  jreVersion: 'FHIR_VALIDATOR_JRE_VERSION',
+  jreSha256: 'FHIR_VALIDATOR_JRE_SHA256'
+};
+
+const PATH_KEYS = ['mirror', 'jreArchive', 'yafvaJar'];
+
+function isRemoteSource(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+function parseBoolean(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Locates the install config file. An explicit FHIR_VALIDATOR_CONFIG wins,
+ * otherwise the directory `npm install` was run from (INIT_CWD) and the
+ * current working directory are searched.
+ * @returns {string|null} Absolute path to the config file, or null if none exists
+ */
+function findConfigFile() {
+  if (process.env.FHIR_VALIDATOR_CONFIG) {
+    return resolve(process.env.FHIR_VALIDATOR_CONFIG);
+  }
+
+  const searchDirs = [process.env.INIT_CWD, process.cwd()].filter(Boolean);
+  for (const dir of searchDirs) {
+    const candidate = join(dir, CONFIG_FILE_NAME);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Loads the artifact installation config from the config file and environment.
+ * Local paths are resolved against the directory they were declared in.
+ * @returns {{
+ *   mirror?: string, jreArchive?: string, yafvaJar?: string, offline: boolean,
+ *   yafvaVersion?: string, yafvaSha256?: string,
+ *   jreVersion?: string, jreSha256?: string|Object<string, string>,
+ *   configFile: string|null
+ * }}
+ */
+function loadInstallConfig() {
+  const configFile = findConfigFile();
+  const config = {};
+
+  if (configFile) {
+    let fileConfig;
+    try {
+      fileConfig = fs.readJsonSync(configFile);
+    } catch (error) {
+      throw new Error(`Failed to read FHIR Validator config file ${configFile}: ${error.message}`);
+    }
+    for (const [key, value] of Object.entries(fileConfig)) {
+      config[key] = PATH_KEYS.includes(key) && value && !isRemoteSource(value)
+        ? resolve(dirname(configFile), value)
+        : value;
+    }
+  }
+
+  for (const [key, envName] of Object.entries(ENV_OVERRIDES)) {
+    const value = process.env[envName];
+    if (value === undefined || value === '') continue;
+    config[key] = PATH_KEYS.includes(key) && !isRemoteSource(value) ? resolve(value) : value;
+  }
+
+  config.offline = parseBoolean(config.offline ?? false);
+  config.configFile = configFile;
+  return config;
+}
+
+export { loadInstallConfig, isRemoteSource, CONFIG_FILE_NAME };
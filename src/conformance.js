@@ -0,0 +1,43 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { addExitHook } from './exit-hooks.js';
+
+function fileNameFor(resource, index) {
+  const name = [resource.resourceType, resource.id].filter(Boolean).join('-').replace(/[^A-Za-z0-9.-]/g, '_');
+  // The index keeps resources without an id, or with the same id, apart
+  return `${String(index).padStart(4, '0')}-${name}.json`;
+}
+
+/**
+ * Writes in-memory conformance resources (StructureDefinitions, ValueSets,
+ * CodeSystems, ...) to a new temporary folder, which the validator loads like
+ * a local IG. The folder is deleted by `remove()`, or when Node exits.
+ * @param {object[]} resources
+ * @returns {Promise<{ dir: string, remove: () => Promise<void> }>}
+ */
+async function writeConformanceResources(resources) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fhir-validator-'));
+  const removeExitHook = addExitHook(() => fs.removeSync(dir));
+  try {
+    await Promise.all(resources.map((resource, index) => fs.writeJson(path.join(dir, fileNameFor(resource, index)), resource)));
+  } catch (error) {
+    removeExitHook();
+    await fs.remove(dir);
+    throw error;
+  }
+
+  return {
+    dir,
+    remove: async () => {
+      removeExitHook();
+      await fs.remove(dir);
+    }
+  };
+}
+
+export { writeConformanceResources };
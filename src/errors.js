@@ -0,0 +1,64 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+
+/**
+ * A resource could not be validated, e.g. because the validator server kept
+ * failing or the payload could not be sent.
+ */
+class ValidatorRequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {number} details.attempts - HTTP attempts made before giving up (0 if none could be made)
+   * @param {Error} [details.cause] - Error of the last attempt
+   */
+  constructor(message, { attempts, cause }) {
+    super(message, { cause });
+    this.name = 'ValidatorRequestError';
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * The Validator Server process could not be started: its port was taken, it
+ * exited, or it didn't answer the readiness probe within the startup timeout.
+ */
+class ValidatorStartupError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {'port-in-use'|'exited'|'timeout'} details.reason
+   * @param {number} details.attempts - Processes started before giving up
+   * @param {number|null} [details.exitCode] - Exit code of the last process, if it exited
+   * @param {string|null} [details.signal] - Signal that ended the last process, if any
+   * @param {string} [details.stderr] - Last lines the last process wrote to stderr
+   * @param {Error} [details.cause] - E.g. the error spawning the process
+   */
+  constructor(message, { reason, attempts, exitCode = null, signal = null, stderr = '', cause }) {
+    super(message, { cause });
+    this.name = 'ValidatorStartupError';
+    this.reason = reason;
+    this.attempts = attempts;
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * The options passed to createValidatorInstance() are not valid.
+ */
+class ValidatorOptionsError extends Error {
+  /**
+   * @param {string[]} problems - One sentence per invalid or unknown option
+   */
+  constructor(problems) {
+    super(`Invalid FHIR Validator options:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ValidatorOptionsError';
+    this.problems = problems;
+  }
+}
+
+export { ValidatorRequestError, ValidatorStartupError, ValidatorOptionsError };
@@ -0,0 +1,65 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+
+/**
+ * Cleanup that must run however the Node process ends, e.g. killing child
+ * JVMs so they don't outlive it. Hooks run synchronously: once the process is
+ * exiting, asynchronous work never completes.
+ */
+const hooks = new Set();
+const SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+let installed = false;
+
+function runHooks() {
+  for (const hook of [...hooks]) {
+    try {
+      hook();
+    } catch {
+      // Keep going, the other hooks still need to run
+    }
+  }
+}
+
+function onSignal(signal) {
+  // An application that handles the signal itself keeps running, e.g. to drain
+  // validations in shutdown(). The 'exit' hook still covers it if it exits.
+  if (process.listenerCount(signal) > 1) return;
+  runHooks();
+  // Restore Node's default: terminate by that signal
+  uninstall();
+  process.kill(process.pid, signal);
+}
+
+function install() {
+  if (installed) return;
+  installed = true;
+  process.on('exit', runHooks);
+  for (const signal of SIGNALS) process.on(signal, onSignal);
+}
+
+function uninstall() {
+  if (!installed) return;
+  installed = false;
+  process.removeListener('exit', runHooks);
+  for (const signal of SIGNALS) process.removeListener(signal, onSignal);
+}
+
+/**
+ * Registers a hook to run when the process exits, or is terminated by a SIGINT,
+ * SIGTERM or SIGHUP that it has no other listener for. Process listeners are only
+ * installed while hooks are registered.
+ * @param {() => void} hook - Synchronous cleanup
+ * @returns {() => void} Removes the hook
+ */
+function addExitHook(hook) {
+  hooks.add(hook);
+  install();
+  return () => {
+    hooks.delete(hook);
+    if (!hooks.size) uninstall();
+  };
+}
+
+export { addExitHook };
@@ -0,0 +1,95 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Extensions of resource files picked up from directories and `**` globs.
+ */
+const RESOURCE_FILE = /\.(json|xml)$/i;
+
+const hasWildcard = segment => /[*?{]/.test(segment);
+
+/**
+ * Translates a glob (`*`, `?`, `**`, `{a,b}`) to a regex over `/`-separated paths.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` matches zero or more directories
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${glob.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await walk(entryPath));
+    else if (entry.isFile()) files.push(entryPath);
+  }
+  return files;
+}
+
+async function expandGlob(pattern) {
+  const segments = pattern.split('/');
+  const firstWildcard = segments.findIndex(hasWildcard);
+  const base = segments.slice(0, firstWildcard).join('/') || '.';
+  if (!(await fs.pathExists(base))) return [];
+
+  const matcher = globToRegExp(segments.slice(firstWildcard).join('/'));
+  const files = await walk(base);
+  return files.filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')));
+}
+
+/**
+ * Expands command line inputs to resource files: files are taken as they are,
+ * directories are searched for .json and .xml files, and anything else is
+ * matched as a glob. Shells usually expand globs themselves, but not when quoted
+ * or on Windows.
+ * @param {string[]} inputs
+ * @returns {Promise<string[]>} Files in input order, without duplicates
+ * @throws {Error} If an input matches no files
+ */
+async function expandInputs(inputs) {
+  const files = new Set();
+  for (const input of inputs) {
+    const normalized = input.split(path.sep).join('/');
+    let matches;
+    if (await fs.pathExists(input)) {
+      const stat = await fs.stat(input);
+      matches = stat.isDirectory() ? (await walk(input)).filter(file => RESOURCE_FILE.test(file)).sort() : [input];
+    } else if (hasWildcard(normalized)) {
+      matches = (await expandGlob(normalized)).sort();
+    } else {
+      throw new Error(`File not found: ${input}`);
+    }
+    if (!matches.length) throw new Error(`No files match ${input}`);
+    matches.forEach(file => files.add(file));
+  }
+  return [...files];
+}
+
+export { expandInputs, globToRegExp };
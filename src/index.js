@@ -4,6 +4,16 @@
  */
 
 import FHIRValidator from './validator.js';
+import FHIRValidatorPool from './pool.js';
+import ValidationResult from './result.js';
+import { toOperationOutcome } from './operation-outcome.js';
+import { BundleValidationResult } from './bundle.js';
+import { ValidatorRequestError, ValidatorStartupError, ValidatorOptionsError } from './errors.js';
+import { getInstalledVersions } from './lockfile.js';
+import { ensureInstalled } from './installer.js';
+import { MemoryCacheStore, FileCacheStore } from './cache.js';
+import { createValidationHandler, createValidationServer, fastifyValidationPlugin } from './service.js';
+import { formatReport, formatText, formatJson, formatJUnit, formatSarif, formatHtml, toRecords } from './reporters/index.js';
 
 async function createValidatorInstance(cliContext) {
   const validator = new FHIRValidator(cliContext);
@@ -11,4 +21,10 @@ async function createValidatorInstance(cliContext) {
   return validator;
 }
 
-export { createValidatorInstance };
+async function createValidatorPool(cliContext, poolOptions) {
+  const pool = new FHIRValidatorPool(cliContext, poolOptions);
+  await pool.start();
+  return pool;
+}
+
+export { createValidatorInstance, createValidatorPool, FHIRValidatorPool, getInstalledVersions, ensureInstalled, ValidationResult, BundleValidationResult, toOperationOutcome, formatReport, formatText, formatJson, formatJUnit, formatSarif, formatHtml, toRecords, createValidationHandler, createValidationServer, fastifyValidationPlugin, MemoryCacheStore, FileCacheStore, ValidatorRequestError, ValidatorStartupError, ValidatorOptionsError };
@@ -1,39 +1,33 @@
+#!/usr/bin/env node
 /**
  * © Copyright Outburn Ltd. 2025 All Rights Reserved
  *   Project name: FUME / FHIR Validator
  */
-import { downloadAndExtractJDK, downloadYafvaJar, getOsArchitecture } from './utils.js';
-import { log } from './logger.js';
-import fs from 'fs-extra';
-import { jdkPath, jarPath } from './paths.js';
+import { ensureInstalled } from './installer.js';
 
-async function setupIfNeeded() {
-    log("🔧 Running setup...");
-    const { os } = getOsArchitecture();
+const USAGE = 'Usage: fhir-validator-install [--upgrade] [--repair]';
+const FLAGS = ['--upgrade', '--repair'];
 
-    if (!fs.existsSync(jdkPath) && os !== "linux") {
-    log('📦 Installing JDK...');
-    await downloadAndExtractJDK();
-  } else {
-    log('✅ JDK is already installed.');
-  }
-
-  if (!fs.existsSync(jarPath)) {
-    log('📦 Installing YAFVA.JAR...');
-    await downloadYafvaJar();
-  } else {
-    log('✅ YAFVA.JAR is already installed.');
+(async () => {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => !FLAGS.includes(arg));
+  if (unknown.length) {
+    console.error(`❌ Unknown option: ${unknown.join(' ')}`);
+    console.error(USAGE);
+    process.exit(1);
   }
-}
 
-(async () => {
   try {
     console.log('🚀 Starting installation...');
-    await setupIfNeeded();
+    console.log('🔧 Running setup...');
+    await ensureInstalled({
+      upgrade: args.includes('--upgrade'),
+      repair: args.includes('--repair')
+    });
     console.log('✅ Installation completed successfully.');
   } catch (error) {
     console.error(`❌ Installation failed: ${error.message}`);
-     
+
     process.exit(1);
   }
 })();
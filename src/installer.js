@@ -0,0 +1,194 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import { join } from 'path';
+import { log, logError } from './logger.js';
+import { jdkPath, jarPath, stagingPath } from './paths.js';
+import { loadInstallConfig } from './config.js';
+import { readLockfile, recordInstalledArtifact, matchesPinnedVersion } from './lockfile.js';
+import { findJava } from './java.js';
+import {
+  getOsArchitecture,
+  getJreRelease,
+  getYafvaRelease,
+  fetchJre,
+  fetchYafvaJar,
+  getJdkBinPath,
+  sha256File
+} from './utils.js';
+
+const javaBinary = process.platform === 'win32' ? 'java.exe' : 'java';
+
+async function isYafvaJarIntact(recorded) {
+  if (!fs.existsSync(jarPath) || !recorded?.sha256) return false;
+  return (await sha256File(jarPath)) === recorded.sha256;
+}
+
+function isJreIntact(recorded) {
+  if (!recorded) return false;
+  try {
+    const binPath = recorded.folder ? join(jdkPath, recorded.folder, 'bin') : getJdkBinPath();
+    return fs.existsSync(join(binPath, javaBinary));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decides whether an artifact has to be (re)installed.
+ * @returns {Promise<{ action: string|null, release?: object }>} The action to take,
+ *   null if the installed artifact is fine, plus the GitHub release already resolved
+ *   while checking for upgrades
+ */
+async function planArtifact({ name, present, pinnedVersion, recorded, isIntact, hasLocalSource, config, upgrade, repair, resolveRelease }) {
+  if (!present) return { action: 'installed' };
+  if (!matchesPinnedVersion(name, pinnedVersion)) return { action: 'replaced' };
+  if (repair && !(await isIntact())) return { action: 'repaired' };
+
+  // A pinned version is never upgraded past the pin
+  if (upgrade && !pinnedVersion) {
+    // Local sources carry no release metadata; the checksum comparison after staging decides
+    if (config.offline || hasLocalSource) return { action: 'upgraded' };
+
+    const release = await resolveRelease();
+    if (release.version !== recorded?.version) return { action: 'upgraded', release };
+  }
+  return { action: null };
+}
+
+async function ensureYafvaJar(config, { upgrade, repair }) {
+  const recorded = readLockfile().yafva;
+  const { action, release } = await planArtifact({
+    name: 'yafva',
+    present: fs.existsSync(jarPath),
+    pinnedVersion: config.yafvaVersion,
+    recorded,
+    isIntact: () => isYafvaJarIntact(recorded),
+    hasLocalSource: Boolean(config.mirror || config.yafvaJar),
+    config,
+    upgrade,
+    repair,
+    resolveRelease: () => getYafvaRelease()
+  });
+
+  if (!action) {
+    log('✅ YAFVA.JAR is already installed.');
+    return { action: 'unchanged', version: recorded?.version ?? null };
+  }
+
+  log('📦 Installing YAFVA.JAR...');
+  fs.ensureDirSync(stagingPath);
+  const stagedJar = join(stagingPath, 'yafva.jar');
+  const installed = await fetchYafvaJar(stagedJar, config, release);
+
+  if (action === 'upgraded' && installed.sha256 === recorded?.sha256) {
+    log('✅ YAFVA.JAR is already up to date.');
+    return { action: 'unchanged', version: recorded.version };
+  }
+
+  // Renaming within the same filesystem replaces the jar atomically
+  fs.renameSync(stagedJar, jarPath);
+  recordInstalledArtifact('yafva', installed);
+  log(`✅ YAFVA.JAR ${action}.`);
+  return { action, version: installed.version };
+}
+
+/**
+ * Moves freshly extracted JRE folders from staging into place, then removes
+ * every other JRE and leftover archive.
+ */
+function swapJre(stagedDir, folders) {
+  fs.ensureDirSync(jdkPath);
+  const retiredDir = join(stagingPath, 'retired');
+  fs.emptyDirSync(retiredDir);
+
+  for (const name of folders) {
+    const target = join(jdkPath, name);
+    // A repair re-installs the same version, so the broken copy has to make room first
+    if (fs.existsSync(target)) fs.renameSync(target, join(retiredDir, name));
+    fs.renameSync(join(stagedDir, name), target);
+  }
+
+  log('🧹 Clearing old JDK versions...');
+  for (const name of fs.readdirSync(jdkPath)) {
+    if (folders.includes(name)) continue;
+    try {
+      fs.removeSync(join(jdkPath, name));
+    } catch (error) {
+      // On Windows a JRE still used by a running validator cannot be deleted
+      logError(`Could not remove old JDK ${name}: ${error.message}`);
+    }
+  }
+}
+
+async function ensureJre(config, { upgrade, repair }) {
+  const recorded = readLockfile().jre;
+  const { os, arch } = getOsArchitecture();
+  const { action, release } = await planArtifact({
+    name: 'jre',
+    present: fs.existsSync(jdkPath) && fs.readdirSync(jdkPath).length > 0,
+    pinnedVersion: config.jreVersion,
+    recorded,
+    isIntact: async () => isJreIntact(recorded),
+    hasLocalSource: Boolean(config.mirror || config.jreArchive),
+    config,
+    upgrade,
+    repair,
+    resolveRelease: () => getJreRelease(undefined, os, arch)
+  });
+
+  if (!action) {
+    log('✅ JDK is already installed.');
+    return { action: 'unchanged', version: recorded?.version ?? null };
+  }
+
+  log('📦 Installing JDK...');
+  const stagedDir = join(stagingPath, 'jre');
+  fs.emptyDirSync(stagedDir);
+  const { folders, ...installed } = await fetchJre(stagedDir, config, release);
+
+  if (action === 'upgraded' && installed.sha256 === recorded?.sha256) {
+    log('✅ JDK is already up to date.');
+    return { action: 'unchanged', version: recorded.version };
+  }
+
+  swapJre(stagedDir, folders);
+  recordInstalledArtifact('jre', { ...installed, folder: folders[0] });
+  log(`✅ JDK ${action}.`);
+  return { action, version: installed.version };
+}
+
+/**
+ * Makes sure the JRE and YAFVA.JAR are installed, optionally upgrading or
+ * repairing them. New artifacts are downloaded to a staging directory and only
+ * swapped in once complete and verified, so a failed run leaves the previous
+ * install untouched.
+ * @param {object} [options]
+ * @param {boolean} [options.upgrade=false] - Replace unpinned artifacts with the newest available release
+ * @param {boolean} [options.repair=false] - Re-install artifacts that are missing files or fail their checksum
+ * @returns {Promise<{ jre: { action: string, version: string|null }|null, yafva: { action: string, version: string|null } }>}
+ *   What was done per artifact: `installed`, `upgraded`, `replaced` (pinned version changed), `repaired` or `unchanged`.
+ *   `jre` is null when a suitable system Java is used instead of the bundled JRE.
+ */
+async function ensureInstalled({ upgrade = false, repair = false } = {}) {
+  const config = loadInstallConfig();
+
+  try {
+    // A bundled JRE that is already installed keeps being maintained
+    const bundledPresent = fs.existsSync(jdkPath) && fs.readdirSync(jdkPath).length > 0;
+    const systemJava = bundledPresent ? null : findJava({ includeBundled: false });
+    if (systemJava) {
+      log(`✅ Using system Java ${systemJava.version} from ${systemJava.source} (${systemJava.path}).`);
+    }
+
+    const jre = systemJava ? null : await ensureJre(config, { upgrade, repair });
+    const yafva = await ensureYafvaJar(config, { upgrade, repair });
+    return { jre, yafva };
+  } finally {
+    fs.removeSync(stagingPath);
+  }
+}
+
+export { ensureInstalled };
@@ -0,0 +1,120 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import { join } from 'path';
+import { spawnSync } from 'child_process';
+import { defaultLogger } from './logger.js';
+import { getJdkBinPath } from './utils.js';
+
+/**
+ * yafva.jar is a Spring Boot 3 application, which requires Java 17 or later.
+ */
+const MIN_JAVA_VERSION = 17;
+
+const javaBinary = process.platform === 'win32' ? 'java.exe' : 'java';
+
+/**
+ * Extracts the major version from `java -version` output, handling both the
+ * legacy `1.8.0_371` and the modern `21.0.5` formats.
+ * @returns {number|null}
+ */
+function parseJavaMajorVersion(output) {
+  const match = output.match(/version "([^"]+)"/);
+  if (!match) return null;
+  const parts = match[1].split(/[.+_-]/);
+  const major = Number(parts[0] === '1' ? parts[1] : parts[0]);
+  return Number.isInteger(major) ? major : null;
+}
+
+/**
+ * Runs `java -version` on an executable.
+ * @returns {{ version: string, major: number }|null} Null if it cannot be run or reports no version
+ */
+function probeJava(executable) {
+  const result = spawnSync(executable, ['-version'], {
+    encoding: 'utf8',
+    timeout: 15000,
+    windowsHide: true
+  });
+  if (result.error || result.status !== 0) return null;
+
+  // `java -version` writes to stderr
+  const output = `${result.stderr}${result.stdout}`;
+  const major = parseJavaMajorVersion(output);
+  if (major === null) return null;
+  return { version: output.match(/version "([^"]+)"/)[1], major };
+}
+
+function getBundledJava() {
+  try {
+    const executable = join(getJdkBinPath(), javaBinary);
+    return fs.existsSync(executable) ? executable : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists where to look for Java, in order of preference.
+ */
+function getJavaCandidates({ javaPath, includeBundled }) {
+  const candidates = [];
+  if (javaPath) candidates.push({ source: 'javaPath', path: javaPath });
+  if (process.env.JAVA_HOME) {
+    candidates.push({ source: 'JAVA_HOME', path: join(process.env.JAVA_HOME, 'bin', javaBinary) });
+  }
+  candidates.push({ source: 'PATH', path: 'java' });
+  if (includeBundled) {
+    const bundled = getBundledJava();
+    if (bundled) candidates.push({ source: 'bundled', path: bundled });
+  }
+  return candidates;
+}
+
+/**
+ * Finds a Java runtime that can run yafva.jar. An explicit `javaPath` is used
+ * as-is or rejected; otherwise JAVA_HOME, PATH and the bundled JRE are tried in
+ * that order, skipping runtimes older than Java 17.
+ * @param {object} [options]
+ * @param {string} [options.javaPath] - Explicit path to a java executable
+ * @param {boolean} [options.includeBundled=true] - Whether the bundled JRE may be used
+ * @param {object} [options.logger] - Logger from createLogger()
+ * @returns {{ path: string, version: string, major: number, source: string }|null} Null if none qualifies
+ */
+function findJava({ javaPath, includeBundled = true, logger = defaultLogger } = {}) {
+  for (const candidate of getJavaCandidates({ javaPath, includeBundled })) {
+    const probe = probeJava(candidate.path);
+
+    if (candidate.source === 'javaPath') {
+      if (!probe) throw new Error(`Java executable at ${javaPath} could not be run.`);
+      if (probe.major < MIN_JAVA_VERSION) {
+        throw new Error(`Java at ${javaPath} is version ${probe.version}, but Java ${MIN_JAVA_VERSION}+ is required.`);
+      }
+    }
+
+    if (!probe) continue;
+    if (probe.major < MIN_JAVA_VERSION) {
+      logger.info(`ℹ️ Skipping Java ${probe.version} from ${candidate.source} (${candidate.path}): Java ${MIN_JAVA_VERSION}+ is required.`);
+      continue;
+    }
+    return { ...candidate, ...probe };
+  }
+  return null;
+}
+
+/**
+ * Returns the full path to the Java executable.
+ * @param {object} [options] - See findJava()
+ * @returns {string} Path to the Java binary
+ */
+function getJavaExecutable(options = {}) {
+  const java = findJava(options);
+  if (!java) {
+    throw new Error(`No Java ${MIN_JAVA_VERSION}+ runtime found. Set JAVA_HOME, pass javaPath, or run "npx fhir-validator-install" to install the bundled JRE.`);
+  }
+  return java.path;
+}
+
+export { findJava, getJavaExecutable, parseJavaMajorVersion, MIN_JAVA_VERSION };
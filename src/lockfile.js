@@ -0,0 +1,58 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import { jdkPath, jarPath, lockfilePath } from './paths.js';
+
+function readLockfile() {
+  if (!fs.existsSync(lockfilePath)) return {};
+  try {
+    return fs.readJsonSync(lockfilePath);
+  } catch {
+    // A corrupt lockfile only loses version info, the artifacts themselves are intact
+    return {};
+  }
+}
+
+/**
+ * Records an installed artifact (`yafva` or `jre`) in the lockfile.
+ * @param {string} name - Artifact key
+ * @param {{ version: string|null, source: string, sha256: string }} entry
+ */
+function recordInstalledArtifact(name, entry) {
+  const lock = readLockfile();
+  lock[name] = { ...entry, installedAt: new Date().toISOString() };
+  fs.writeJsonSync(lockfilePath, lock, { spaces: 2 });
+}
+
+function isArtifactPresent(name) {
+  if (name === 'yafva') return fs.existsSync(jarPath);
+  return fs.existsSync(jdkPath) && fs.readdirSync(jdkPath).length > 0;
+}
+
+/**
+ * Checks whether an installed artifact satisfies a pinned version.
+ * Always true when no version is pinned.
+ */
+function matchesPinnedVersion(name, pinnedVersion) {
+  if (!pinnedVersion) return true;
+  return readLockfile()[name]?.version === pinnedVersion;
+}
+
+/**
+ * Lists the validator artifacts currently installed, as recorded in the lockfile.
+ * An artifact that is missing from disk is reported as null; one that was
+ * installed before lockfiles existed is reported with a null version.
+ * @returns {{ yafva: object|null, jre: object|null }}
+ */
+function getInstalledVersions() {
+  const lock = readLockfile();
+  const versions = {};
+  for (const name of ['yafva', 'jre']) {
+    versions[name] = isArtifactPresent(name) ? (lock[name] ?? { version: null }) : null;
+  }
+  return versions;
+}
+
+export { readLockfile, recordInstalledArtifact, matchesPinnedVersion, getInstalledVersions };
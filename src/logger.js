@@ -3,13 +3,70 @@
  *   Project name: FUME / FHIR Validator
  */
 
+/**
+ * Supported log levels, from least to most verbose.
+ */
+const LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+const consoleLogger = {
+  error: (message, meta) => meta === undefined ? console.error(`❌ ERROR: ${message}`) : console.error(`❌ ERROR: ${message}`, meta),
+  warn: (message, meta) => meta === undefined ? console.warn(message) : console.warn(message, meta),
+  info: (message, meta) => meta === undefined ? console.log(message) : console.log(message, meta),
+  debug: (message, meta) => meta === undefined ? console.log(message) : console.log(message, meta)
+};
+
+/**
+ * pino takes `(meta, message)` while winston and console take `(message, meta)`.
+ * pino loggers are recognised by their `bindings()` method.
+ */
+function isPinoLogger(logger) {
+  return typeof logger.bindings === 'function';
+}
+
+/**
+ * Wraps a logger with level filtering and a uniform `(message, meta)` signature.
+ * @param {object} [options]
+ * @param {object} [options.logger] - Any object with error/warn/info/debug methods, e.g. console, pino or winston.
+ *   Missing methods fall back to `info`, then `log`. Defaults to the console.
+ * @param {string} [options.level='info'] - One of silent, error, warn, info, debug
+ * @returns {{ error: Function, warn: Function, info: Function, debug: Function, level: string }}
+ */
+function createLogger({ logger = consoleLogger, level = 'info' } = {}) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Invalid log level "${level}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+  }
+  const threshold = LOG_LEVELS[level];
+  const pino = isPinoLogger(logger);
+
+  const forLevel = name => (message, meta) => {
+    if (LOG_LEVELS[name] > threshold) return;
+    const write = logger[name] ?? logger.info ?? logger.log;
+    if (meta === undefined) write.call(logger, message);
+    else if (pino) write.call(logger, meta, message);
+    else write.call(logger, message, meta);
+  };
+
+  return {
+    error: forLevel('error'),
+    warn: forLevel('warn'),
+    info: forLevel('info'),
+    debug: forLevel('debug'),
+    level
+  };
+}
+
+/**
+ * Logger used where no instance logger is available, e.g. during installation.
+ * Its level can be set with FHIR_VALIDATOR_LOG_LEVEL.
+ */
+const defaultLogger = createLogger({ level: process.env.FHIR_VALIDATOR_LOG_LEVEL || 'info' });
+
 function log(message) {
-  console.log(message);
+  defaultLogger.info(message);
 }
-  
+
 function logError(message) {
-  console.error(`❌ ERROR: ${message}`);
+  defaultLogger.error(message);
 }
-  
-export { log, logError };
-  
\ No newline at end of file
+
+export { log, logError, createLogger, defaultLogger, LOG_LEVELS };
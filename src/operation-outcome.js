@@ -0,0 +1,85 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+
+const LINE_EXTENSION_URL = 'http://hl7.org/fhir/StructureDefinition/operationoutcome-issue-line';
+const COL_EXTENSION_URL = 'http://hl7.org/fhir/StructureDefinition/operationoutcome-issue-col';
+
+const SEVERITY_MAP = {
+  FATAL: 'fatal',
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFORMATION: 'information'
+};
+
+/**
+ * yafva reports the Java enum name of the issue type. Most map to the FHIR
+ * code by lower-casing; these are the ones whose FHIR code is hyphenated.
+ */
+const ISSUE_TYPE_EXCEPTIONS = {
+  NOTSUPPORTED: 'not-supported',
+  MULTIPLEMATCHES: 'multiple-matches',
+  NOTFOUND: 'not-found',
+  TOOLONG: 'too-long',
+  CODEINVALID: 'code-invalid',
+  TOOCOSTLY: 'too-costly',
+  BUSINESSRULE: 'business-rule',
+  LOCKERROR: 'lock-error',
+  NOSTORE: 'no-store'
+};
+
+const ISSUE_TYPES = new Set([
+  'invalid', 'structure', 'required', 'value', 'invariant', 'security', 'login', 'unknown',
+  'expired', 'forbidden', 'suppressed', 'processing', 'not-supported', 'duplicate',
+  'multiple-matches', 'not-found', 'deleted', 'too-long', 'code-invalid', 'extension',
+  'too-costly', 'business-rule', 'conflict', 'transient', 'lock-error', 'no-store',
+  'exception', 'timeout', 'incomplete', 'throttled', 'informational'
+]);
+
+function toIssueCode(type) {
+  if (!type) return 'processing';
+  const code = ISSUE_TYPE_EXCEPTIONS[type] ?? type.toLowerCase();
+  return ISSUE_TYPES.has(code) ? code : 'processing';
+}
+
+function toOutcomeIssue(issue, { includeLineCol }) {
+  const outcomeIssue = {};
+
+  if (includeLineCol && Number.isInteger(issue.line)) {
+    outcomeIssue.extension = [{ url: LINE_EXTENSION_URL, valueInteger: issue.line }];
+    if (Number.isInteger(issue.col)) {
+      outcomeIssue.extension.push({ url: COL_EXTENSION_URL, valueInteger: issue.col });
+    }
+  }
+
+  outcomeIssue.severity = SEVERITY_MAP[issue.level] ?? 'information';
+  outcomeIssue.code = toIssueCode(issue.type);
+  if (issue.message) outcomeIssue.diagnostics = issue.message;
+  if (issue.location) {
+    outcomeIssue.location = [issue.location];
+    outcomeIssue.expression = [issue.location];
+  }
+  return outcomeIssue;
+}
+
+/**
+ * Converts a validation result to a FHIR OperationOutcome resource.
+ * An OperationOutcome needs at least one issue, so a result without issues
+ * becomes a single informational "All OK" issue, like the HL7 validator reports.
+ * @param {{ issues: object[] }} result - ValidationResult or raw yafva.jar payload
+ * @param {object} [options]
+ * @param {boolean} [options.includeLineCol=true] - Add the standard issue-line/issue-col extensions
+ * @returns {object} OperationOutcome resource
+ */
+function toOperationOutcome(result, { includeLineCol = true } = {}) {
+  const issues = result?.issues ?? [];
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.length
+      ? issues.map(issue => toOutcomeIssue(issue, { includeLineCol }))
+      : [{ severity: 'information', code: 'informational', diagnostics: 'All OK' }]
+  };
+}
+
+export { toOperationOutcome };
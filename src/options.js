@@ -0,0 +1,191 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { LOG_LEVELS } from './logger.js';
+import { ValidatorOptionsError } from './errors.js';
+import { isCacheStore } from './cache.js';
+
+const BEST_PRACTICE_LEVELS = ['ignore', 'hint', 'warning', 'error'];
+
+/**
+ * txServer values that mean "no terminology server".
+ */
+const NO_TX_SERVER = ['n/a', '', 'null', 'none', 'na'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Each check returns what was expected when a value doesn't fit, or undefined when it does
+const string = value => typeof value === 'string' && value.trim() ? undefined : 'a non-empty string';
+const boolean = value => typeof value === 'boolean' ? undefined : 'true or false';
+const integer = (min, max = Infinity) => value => Number.isInteger(value) && value >= min && value <= max
+  ? undefined
+  : (max === Infinity ? `an integer of at least ${min}` : `an integer from ${min} to ${max}`);
+const oneOf = values => value => values.includes(value) ? undefined : `one of: ${values.join(', ')}`;
+const stringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim())
+  ? undefined
+  : 'an array of non-empty strings';
+const resourceArray = value => Array.isArray(value) && value.every(item => isPlainObject(item) && typeof item.resourceType === 'string')
+  ? undefined
+  : 'an array of FHIR resources';
+const cacheOption = (value) => {
+  const expected = 'true, a cache store, or { store, maxEntries, ttlMs, dir }';
+  if (typeof value === 'boolean' || isCacheStore(value)) return undefined;
+  if (!isPlainObject(value)) return expected;
+  const { store = 'memory', maxEntries = 1, ttlMs = 0, dir, ...unknown } = value;
+  const valid = Object.keys(unknown).length === 0 &&
+    (['memory', 'file'].includes(store) || isCacheStore(store)) &&
+    Number.isInteger(maxEntries) && maxEntries >= 1 &&
+    Number.isInteger(ttlMs) && ttlMs >= 0 &&
+    (store === 'file' ? typeof dir === 'string' && dir.trim() !== '' : dir === undefined);
+  return valid ? undefined : expected;
+};
+const propertyMap = value => isPlainObject(value) && Object.values(value).every(item => ['string', 'number', 'boolean'].includes(typeof item))
+  ? undefined
+  : 'an object with string, number or boolean values';
+
+/**
+ * Every option createValidatorInstance() accepts. `nullable` options take null
+ * as a value of its own; for the rest, null is the same as leaving them out.
+ */
+const OPTIONS = {
+  // Server to attach to instead of starting one
+  url: { check: string },
+
+  // Java process
+  javaPath: { check: string },
+  jvmOptions: { check: stringArray, default: () => [] },
+  systemProperties: { check: propertyMap, default: () => ({}) },
+  host: { check: string },
+  port: { check: integer(0, 65535) },
+  threadsMin: { check: integer(1), default: 6 },
+  threadsMax: { check: integer(1) }, // default: threadsMin * 3
+  startupTimeoutMs: { check: integer(1), default: 300000 }, // loading IGs can take minutes on a cold package cache
+
+  // Validator
+  sv: { check: string, default: '4.0.1' },
+  igs: { check: stringArray, default: () => [] },
+  conformanceResources: { check: resourceArray, default: () => [] },
+  txServer: { check: value => typeof value === 'string' ? undefined : 'a URL, or null for none', nullable: true },
+  locale: { check: string },
+  bestPracticeLevel: { check: oneOf(BEST_PRACTICE_LEVELS) },
+  packageCacheDir: { check: string },
+  properties: { check: propertyMap, default: () => ({}) },
+
+  // Requests
+  concurrency: { check: integer(1) }, // default: threadsMax
+  requestTimeoutMs: { check: integer(0), default: 0 },
+  cache: { check: cacheOption, default: false },
+
+  // Supervision
+  autoRestart: { check: boolean, default: true },
+  healthCheckIntervalMs: { check: integer(0), default: 30000 },
+  restartDelayMs: { check: integer(0), default: 1000 },
+  maxRestartDelayMs: { check: integer(0), default: 30000 },
+  maxRestartAttempts: { check: integer(1), default: 5 },
+
+  // Logging
+  logger: { check: value => value !== null && typeof value === 'object' ? undefined : 'a logger object' },
+  logLevel: { check: oneOf(Object.keys(LOG_LEVELS)) }
+};
+
+/**
+ * Local IGs (a package.tgz, or a folder of conformance resources) are passed to
+ * the validator as absolute paths. Anything else is a package id or URL.
+ * @returns {string|null} null for a path that doesn't exist
+ */
+function resolveIg(ig) {
+  if (/^https?:\/\//i.test(ig)) return ig;
+  const local = path.resolve(ig);
+  if (fs.existsSync(local)) return local;
+  const looksLikePath = /[\\/]/.test(ig) || ig.startsWith('.') || /\.(tgz|json|xml)$/i.test(ig);
+  return looksLikePath ? null : ig;
+}
+
+function describe(value) {
+  if (typeof value === 'string') return `"${value}"`;
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'object' ? 'an object' : String(value);
+}
+
+/**
+ * Edit distance, to suggest the option a misspelled key was meant to be.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function unknownOption(key) {
+  const names = Object.keys(OPTIONS);
+  const lowerKey = key.toLowerCase();
+  // A misspelling, or a longer name for an option (e.g. validatorUrl for url)
+  const match = names.find(name => editDistance(name.toLowerCase(), lowerKey) <= 2)
+    ?? names.find(name => lowerKey.endsWith(name.toLowerCase()));
+  return `Unknown option "${key}".${match ? ` Did you mean "${match}"?` : ''}`;
+}
+
+/**
+ * Validates FHIRValidator options and fills in defaults. The caller's object is not modified.
+ * @param {object} [cliContext]
+ * @returns {object} The options, with defaults
+ * @throws {ValidatorOptionsError} Listing every unknown or invalid option
+ */
+function normalizeOptions(cliContext = {}) {
+  if (!isPlainObject(cliContext)) {
+    throw new ValidatorOptionsError([`Expected an options object, got ${describe(cliContext)}.`]);
+  }
+
+  const options = {};
+  const problems = [];
+  for (const [key, value] of Object.entries(cliContext)) {
+    const spec = OPTIONS[key];
+    if (!spec) {
+      problems.push(unknownOption(key));
+      continue;
+    }
+    if (value === undefined || (value === null && !spec.nullable)) continue;
+
+    const expected = value === null ? undefined : spec.check(value);
+    if (expected) {
+      problems.push(`Invalid ${key} ${describe(value)}. Expected ${expected}.`);
+      continue;
+    }
+    // Own copies, so that later changes to the caller's arrays don't leak in
+    if (Array.isArray(value)) options[key] = [...value];
+    else if (isPlainObject(value) && key !== 'logger' && !isCacheStore(value)) options[key] = { ...value };
+    else options[key] = value;
+  }
+
+  for (const [key, spec] of Object.entries(OPTIONS)) {
+    if (options[key] === undefined && 'default' in spec) {
+      options[key] = typeof spec.default === 'function' ? spec.default() : spec.default;
+    }
+  }
+  if (NO_TX_SERVER.includes(options.txServer)) options.txServer = null;
+  options.igs = options.igs.map(ig => {
+    const resolved = resolveIg(ig);
+    if (!resolved) problems.push(`IG "${ig}" looks like a local path, but doesn't exist.`);
+    return resolved ?? ig;
+  });
+  if (options.threadsMax === undefined) options.threadsMax = options.threadsMin * 3;
+  // More concurrent requests than Tomcat threads would only queue up inside the JVM
+  if (options.concurrency === undefined) options.concurrency = options.threadsMax;
+  if (options.threadsMax < options.threadsMin) {
+    problems.push(`threadsMax (${options.threadsMax}) must not be less than threadsMin (${options.threadsMin}).`);
+  }
+
+  if (problems.length) throw new ValidatorOptionsError(problems);
+  return options;
+}
+
+export { normalizeOptions };
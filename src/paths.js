@@ -26,3 +26,5 @@ const getDirname = () => {
 export const rootDir = getDirname();
 export const jdkPath = join(rootDir, 'jdk');
 export const jarPath = join(rootDir, 'yafva.jar');
+export const lockfilePath = join(rootDir, 'fhir-validator.lock.json');
+export const stagingPath = join(rootDir, '.staging');
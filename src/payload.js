@@ -0,0 +1,48 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { Buffer } from 'buffer';
+
+const CONTENT_TYPES = {
+  json: 'application/fhir+json',
+  xml: 'application/fhir+xml'
+};
+
+/**
+ * Guesses the format of a serialized resource from its first non-blank character.
+ * Objects are always JSON.
+ * @param {object|string|Buffer} resource
+ * @returns {'json'|'xml'}
+ */
+function detectFormat(resource) {
+  if (typeof resource !== 'string' && !Buffer.isBuffer(resource)) return 'json';
+  const head = Buffer.isBuffer(resource)
+    ? resource.subarray(0, 1024).toString('utf8')
+    : resource.slice(0, 1024);
+  return head.replace(/^\uFEFF/, '').trimStart().startsWith('<') ? 'xml' : 'json';
+}
+
+/**
+ * Prepares a resource for the validator's HTTP API. Strings and Buffers are
+ * sent byte-for-byte, so line/column numbers in the issues point into the
+ * original text.
+ * @param {object|string|Buffer} resource - A resource object, or serialized JSON/XML
+ * @param {'json'|'xml'} [format] - Explicit format, auto-detected if omitted
+ * @returns {{ body: object|string|Buffer, format: string, contentType: string }}
+ */
+function toRequestPayload(resource, format) {
+  if (format !== undefined && !(format in CONTENT_TYPES)) {
+    throw new Error(`Invalid format "${format}". Expected one of: ${Object.keys(CONTENT_TYPES).join(', ')}.`);
+  }
+
+  const resolvedFormat = format ?? detectFormat(resource);
+  const serialized = typeof resource === 'string' || Buffer.isBuffer(resource);
+  if (resolvedFormat === 'xml' && !serialized) {
+    throw new Error('XML resources must be passed as a string or Buffer.');
+  }
+
+  return { body: resource, format: resolvedFormat, contentType: CONTENT_TYPES[resolvedFormat] };
+}
+
+export { detectFormat, toRequestPayload };
@@ -0,0 +1,222 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { EventEmitter } from 'events';
+import FHIRValidator from './validator.js';
+import { createLogger } from './logger.js';
+import { validateNdjson } from './stream.js';
+import { normalizeOptions } from './options.js';
+import { createCacheStore } from './cache.js';
+
+/**
+ * Runs several Validator Server processes and spreads validations across them,
+ * always picking the member with the fewest outstanding requests.
+ *
+ * Members are health-checked periodically. An unhealthy member stops receiving
+ * work, a replacement is started, and the old one is shut down once its
+ * outstanding requests have finished (or the drain timeout passes).
+ *
+ * Events: `unhealthy` (member), `replaced` (oldMember, newMember), and `error`
+ * (error) when a replacement fails to start.
+ */
+class FHIRValidatorPool extends EventEmitter {
+  /**
+   * @param {object} [cliContext] - Options for every member, as for createValidatorInstance()
+   * @param {object} [poolOptions]
+   * @param {number} [poolOptions.size=2] - Number of Validator Server processes
+   * @param {number} [poolOptions.healthCheckIntervalMs=30000] - 0 disables health checks
+   * @param {number} [poolOptions.drainTimeoutMs=30000] - How long an unhealthy member may finish its requests
+   */
+  constructor(cliContext = {}, { size = 2, healthCheckIntervalMs = 30000, drainTimeoutMs = 30000 } = {}) {
+    super();
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Invalid pool size "${size}". Expected a positive integer.`);
+    }
+    // Validated up front, rather than when the first member starts
+    this.cliContext = normalizeOptions(cliContext);
+    // One store for all members, so that a result one of them cached is a hit on the others
+    this.cliContext.cache = createCacheStore(this.cliContext.cache) ?? false;
+    if (this.cliContext.port && size > 1) {
+      throw new Error(`Pool members can't share port ${this.cliContext.port}. Leave port unset, or use 0.`);
+    }
+    this.size = size;
+    this.healthCheckIntervalMs = healthCheckIntervalMs;
+    this.drainTimeoutMs = drainTimeoutMs;
+    this.logger = createLogger({ logger: this.cliContext.logger, level: this.cliContext.logLevel });
+    this.members = [];
+    this.stats = new Map(); // member -> { outstanding, draining, onIdle }
+    this.healthTimer = null;
+    /** Set by shutdown(); members that finish starting after that are shut down right away. */
+    this.closed = false;
+  }
+
+  /**
+   * Starts all members in parallel and begins health checks.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.logger.info(`🚀 Starting FHIR Validator pool with ${this.size} members...`);
+    const started = await Promise.allSettled(Array.from({ length: this.size }, () => this._startMember()));
+    const failure = started.find(outcome => outcome.status === 'rejected');
+    if (failure) {
+      await Promise.all(started.filter(o => o.status === 'fulfilled').map(o => this._retire(o.value)));
+      throw failure.reason;
+    }
+
+    if (this.healthCheckIntervalMs > 0) {
+      this.healthTimer = setInterval(() => this._checkHealth(), this.healthCheckIntervalMs);
+      this.healthTimer.unref();
+    }
+    this.logger.info(`✅ FHIR Validator pool is ready (${this.members.length} members).`);
+  }
+
+  /**
+   * Requests the pool can have in flight: the sum of its members' concurrency.
+   * @returns {number}
+   */
+  get concurrency() {
+    return this.members.reduce((sum, member) => sum + member.concurrency, 0);
+  }
+
+  async _startMember() {
+    const member = new FHIRValidator(this.cliContext);
+    await member.startValidator();
+    if (this.closed) {
+      await member.shutdown();
+      throw new Error('FHIR Validator pool has been shut down.');
+    }
+    this.members.push(member);
+    this.stats.set(member, { outstanding: 0, draining: false, onIdle: null });
+    return member;
+  }
+
+  _pickMember() {
+    let best = null;
+    for (const member of this.members) {
+      const stats = this.stats.get(member);
+      if (stats.draining) continue;
+      // A member that is restarting only gets work when no member is ready
+      const rank = [member.state === 'ready' ? 0 : 1, stats.outstanding];
+      const bestRank = best && [best.state === 'ready' ? 0 : 1, this.stats.get(best).outstanding];
+      if (!best || rank[0] < bestRank[0] || (rank[0] === bestRank[0] && rank[1] < bestRank[1])) best = member;
+    }
+    if (!best) throw new Error('No healthy FHIR Validator pool members available.');
+    return best;
+  }
+
+  async _dispatch(task) {
+    const member = this._pickMember();
+    const stats = this.stats.get(member);
+    stats.outstanding++;
+    try {
+      return await task(member);
+    } finally {
+      stats.outstanding--;
+      if (stats.outstanding === 0 && stats.onIdle) stats.onIdle();
+    }
+  }
+
+  /**
+   * Validates like FHIRValidator.validate(). Each resource of an array is
+   * dispatched on its own, so a batch is spread across all members.
+   */
+  async validate(resource, profiles = [], options = {}) {
+    if (!Array.isArray(resource)) {
+      return this._dispatch(member => member.validate(resource, profiles, options));
+    }
+    return Promise.all(resource.map(entry => this._dispatch(member => member.validate(entry, profiles, options))));
+  }
+
+  /**
+   * Validates a Bundle on one member, like FHIRValidator.validateBundle().
+   */
+  async validateBundle(bundle, options) {
+    return this._dispatch(member => member.validateBundle(bundle, options));
+  }
+
+  /**
+   * Validates NDJSON across all members, like FHIRValidator.validateStream().
+   */
+  validateStream(source, options) {
+    return validateNdjson(this, source, options);
+  }
+
+  /**
+   * Reloads IGs on every member, like FHIRValidator.reloadIgs(). Members reload
+   * one at a time, so only one extra JVM runs at once. Replacement members
+   * start with the new IGs too.
+   */
+  async reloadIgs({ igs = this.cliContext.igs, conformanceResources = this.cliContext.conformanceResources, timeoutMs } = {}) {
+    this.cliContext = normalizeOptions({ ...this.cliContext, igs, conformanceResources });
+    for (const member of [...this.members]) {
+      if (this.stats.get(member)?.draining) continue;
+      await member.reloadIgs({ igs, conformanceResources, timeoutMs });
+    }
+  }
+
+  async _checkHealth() {
+    for (const member of [...this.members]) {
+      const stats = this.stats.get(member);
+      // Members restart themselves after a crash; only replace those that can't
+      if (!stats || stats.draining || member.state === 'restarting') continue;
+      if (await member.isHealthy()) continue;
+
+      this.logger.warn(`⚠️ FHIR Validator pool member on port ${member.port} is unhealthy, replacing it...`);
+      this.emit('unhealthy', member);
+      this._replace(member).catch(error => {
+        this.logger.error(`❌ Failed to replace FHIR Validator pool member: ${error.message}`);
+        // An 'error' event without listeners would throw
+        if (this.listenerCount('error')) this.emit('error', error);
+      });
+    }
+  }
+
+  async _replace(member) {
+    const stats = this.stats.get(member);
+    if (!stats) return; // Already retired
+    stats.draining = true;
+    try {
+      const replacement = await this._startMember();
+      this.emit('replaced', member, replacement);
+    } catch (error) {
+      // A replacement cut short by shutdown() is not a failure
+      if (!this.closed) throw error;
+    } finally {
+      await this._retire(member);
+    }
+  }
+
+  /**
+   * Waits for a member's outstanding requests (up to the drain timeout), then shuts it down.
+   */
+  async _retire(member) {
+    const stats = this.stats.get(member);
+    if (!stats) return; // Retired already, e.g. by shutdown() during a replacement
+    stats.draining = true;
+    if (stats.outstanding > 0) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, this.drainTimeoutMs);
+        stats.onIdle = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+    this.members = this.members.filter(m => m !== member);
+    this.stats.delete(member);
+    await member.shutdown();
+  }
+
+  /**
+   * Stops health checks and shuts all members down.
+   */
+  async shutdown() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    await Promise.all([...this.members].map(member => this._retire(member)));
+  }
+}
+
+export default FHIRValidatorPool;
@@ -0,0 +1,153 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+
+/**
+ * Spring Boot's default console format, e.g.
+ * `2025-04-10T10:00:00.123+03:00  INFO 12345 --- [yafva] [main] o.s.b.w.e.tomcat.TomcatWebServer : Tomcat started on port 8080`
+ */
+const SPRING_LOG_LINE = /^(\S+)\s+(TRACE|DEBUG|INFO|WARN|ERROR)\s+\d+\s+---\s+.*?(\S+)\s+:\s(.*)$/;
+
+/**
+ * The validator's own INFO output is routine chatter for the host application,
+ * so it is demoted to debug. Warnings and errors keep their level.
+ */
+const LEVEL_MAP = {
+  TRACE: 'debug',
+  DEBUG: 'debug',
+  INFO: 'debug',
+  WARN: 'warn',
+  ERROR: 'error'
+};
+
+/**
+ * Stack traces and wrapped messages continue the record before them.
+ */
+function isContinuationLine(line) {
+  return /^\s/.test(line) || /^(Caused by:|\.\.\. \d+ more)/.test(line);
+}
+
+/**
+ * Parses one line of validator output into a log record.
+ * @param {string} line
+ * @param {string} fallbackLevel - Level for lines that are not in Spring Boot format
+ * @returns {{ level: string, message: string, meta: object }}
+ */
+function parseLogLine(line, fallbackLevel) {
+  const match = line.match(SPRING_LOG_LINE);
+  if (!match) return { level: fallbackLevel, message: line, meta: {} };
+  const [, timestamp, level, loggerName, message] = match;
+  return {
+    level: LEVEL_MAP[level],
+    message,
+    meta: { timestamp, logger: loggerName }
+  };
+}
+
+/**
+ * Forwards a child process output stream to a logger, one record per line.
+ * Chunks are buffered until a full line is available, and continuation lines
+ * (e.g. stack traces) inherit the level of the record they belong to.
+ * @param {import('stream').Readable} stream - stdout or stderr of the validator process
+ * @param {object} logger - Logger from createLogger()
+ * @param {object} options
+ * @param {string} options.defaultLevel - Level for unrecognised lines
+ * @param {object} [options.meta] - Fields added to every record, e.g. the pid
+ */
+function pipeProcessOutput(stream, logger, { defaultLevel, meta = {} }) {
+  let buffer = '';
+  let lastLevel = defaultLevel;
+
+  const emit = line => {
+    if (!line.trim()) return;
+    const record = parseLogLine(line, isContinuationLine(line) ? lastLevel : defaultLevel);
+    lastLevel = record.level;
+    logger[record.level](record.message, { source: 'yafva', ...meta, ...record.meta });
+  };
+
+  stream.on('data', data => {
+    buffer += data.toString();
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(emit);
+  });
+  stream.on('end', () => {
+    emit(buffer);
+    buffer = '';
+  });
+}
+
+/**
+ * Keeps the last `maxLines` lines written to a stream, to report why a process failed.
+ * @returns {() => string} Returns the captured lines
+ */
+function captureTail(stream, maxLines = 50) {
+  const lines = [];
+  let partial = '';
+  stream.on('data', data => {
+    const parts = (partial + data.toString()).split(/\r?\n/);
+    partial = parts.pop();
+    lines.push(...parts.filter(line => line.trim()));
+    if (lines.length > maxLines) lines.splice(0, lines.length - maxLines);
+  });
+  return () => [...lines, partial].filter(line => line.trim()).slice(-maxLines).join('\n');
+}
+
+/**
+ * Port in Tomcat's startup line: `Tomcat started on port 8080 (http) with context path '/'`
+ * (Spring Boot 3) or `Tomcat started on port(s): 8080 (http)` (Spring Boot 2).
+ */
+const TOMCAT_STARTED = /Tomcat started on port(?:\(s\))?:? (\d+)/;
+
+/**
+ * Returns the port Tomcat reports in a log line, or null.
+ * @param {string} line
+ * @returns {number|null}
+ */
+function parseServerPort(line) {
+  const match = line.match(TOMCAT_STARTED);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Spring Boot's `Port 8080 was already in use`, or a BindException from elsewhere.
+ */
+const PORT_CONFLICT = /Port \d+ was already in use|Address already in use/;
+
+/**
+ * Calls `onValue` once with the first value `parse` returns for a line of `stream`.
+ */
+function watchLines(stream, parse, onValue) {
+  let partial = '';
+  const onData = data => {
+    const lines = (partial + data.toString()).split(/\r?\n/);
+    partial = lines.pop();
+    for (const line of lines) {
+      const value = parse(line);
+      if (value) {
+        stream.removeListener('data', onData);
+        onValue(value);
+        return;
+      }
+    }
+  };
+  stream.on('data', onData);
+}
+
+/**
+ * Calls `onPort` once with the port the server reports on `stream`.
+ * Used when the JVM picks its own port.
+ */
+function watchServerPort(stream, onPort) {
+  watchLines(stream, parseServerPort, onPort);
+}
+
+/**
+ * Calls `onConflict` once if the server reports on `stream` that its port was taken.
+ */
+function watchPortConflict(stream, onConflict) {
+  watchLines(stream, line => PORT_CONFLICT.test(line), onConflict);
+}
+
+export { pipeProcessOutput, parseLogLine, captureTail, parseServerPort, watchServerPort, watchPortConflict };
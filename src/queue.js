@@ -0,0 +1,54 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+
+/**
+ * First-in, first-out queue that runs at most `concurrency` async tasks at a time.
+ */
+class RequestQueue {
+  /**
+   * @param {number} concurrency - Maximum number of tasks running at once
+   */
+  constructor(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid concurrency "${concurrency}". Expected a positive integer.`);
+    }
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Queues a task and settles with its outcome once it has run.
+   * @param {() => Promise<*>} task
+   * @returns {Promise<*>}
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ task, resolve, reject });
+      this._next();
+    });
+  }
+
+  /** Number of tasks waiting for a free slot. */
+  get pending() {
+    return this.waiting.length;
+  }
+
+  _next() {
+    while (this.active < this.concurrency && this.waiting.length) {
+      const { task, resolve, reject } = this.waiting.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this._next();
+        });
+    }
+  }
+}
+
+export default RequestQueue;
@@ -0,0 +1,98 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { Buffer } from 'buffer';
+import { detectFormat } from '../payload.js';
+
+/**
+ * Reporters take validation records: `{ file, resourceType, id, result, error }`,
+ * where `result` is a ValidationResult, or `error` says why the resource could
+ * not be validated. `file` is null for resources that didn't come from a file.
+ * The optional `source` is the resource as it was sent to the validator, for
+ * reporters that show it.
+ * @typedef {{ file: string|null, resourceType: string|null, id: string|null,
+ *   result: import('../result.js').default|null, error: Error|null,
+ *   source?: object|string|Buffer }} ValidationRecord
+ */
+
+/**
+ * The resource type and id of a resource object, or of serialized JSON or XML.
+ * @param {object|string|Buffer} resource
+ * @returns {{ resourceType: string|null, id: string|null }}
+ * @throws {SyntaxError} If serialized JSON can't be parsed
+ */
+function describeResource(resource) {
+  if (detectFormat(resource) === 'xml') {
+    const text = sourceText(resource);
+    return {
+      // The root element, after any XML declaration and comments
+      resourceType: text.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, '').match(/<([A-Za-z]+)/)?.[1] ?? null,
+      id: text.match(/<id\s+value="([^"]*)"/)?.[1] ?? null
+    };
+  }
+  const parsed = typeof resource === 'string' || Buffer.isBuffer(resource) ? JSON.parse(sourceText(resource)) : resource;
+  return { resourceType: parsed?.resourceType ?? null, id: parsed?.id ?? null };
+}
+
+/**
+ * The text the validator saw: objects are sent as compact JSON, on one line.
+ */
+function sourceText(source) {
+  if (source === undefined || source === null) return null;
+  if (typeof source === 'string') return source;
+  if (Buffer.isBuffer(source)) return source.toString('utf8');
+  return JSON.stringify(source);
+}
+
+/**
+ * Pairs the resources of a `validate()` batch with their results, as records for
+ * the reporters. Results may be ValidationResults, or the records of `settle: true`.
+ * @param {Array<object|string|Buffer>} resources
+ * @param {Array<import('../result.js').default|{ status: string, value?: object, reason?: Error }>} results
+ * @returns {ValidationRecord[]}
+ */
+function toRecords(resources, results) {
+  return resources.map((resource, index) => {
+    let described;
+    try {
+      described = describeResource(resource);
+    } catch {
+      described = { resourceType: null, id: null };
+    }
+    const outcome = results[index];
+    const settled = outcome?.status === 'fulfilled' || outcome?.status === 'rejected';
+    return {
+      file: null,
+      ...described,
+      result: settled ? outcome.value ?? null : outcome,
+      error: settled ? outcome.reason ?? null : null,
+      source: resource
+    };
+  });
+}
+
+/**
+ * `Patient/123`, or as much of it as is known.
+ */
+function resourceLabel(record) {
+  if (!record.resourceType) return 'unknown resource';
+  return record.id ? `${record.resourceType}/${record.id}` : record.resourceType;
+}
+
+/**
+ * `line:col`, if the issue has a position.
+ */
+function position(issue) {
+  if (issue.line === undefined || issue.line === null) return '';
+  return issue.col === undefined || issue.col === null ? String(issue.line) : `${issue.line}:${issue.col}`;
+}
+
+/**
+ * One line describing an issue, e.g. `ERROR 1:81 Patient.identifier: minimum required = 1, but only found 0`.
+ */
+function formatIssue(issue) {
+  return [issue.level, position(issue), issue.location ? `${issue.location}:` : '', issue.message].filter(Boolean).join(' ');
+}
+
+export { describeResource, sourceText, toRecords, resourceLabel, position, formatIssue };
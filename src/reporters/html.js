@@ -0,0 +1,197 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { summarize } from '../summary.js';
+import { resourceLabel, position, sourceText } from './common.js';
+
+const LEVELS = ['fatal', 'error', 'warning', 'information'];
+
+/** Lines shown above and below the line of an issue. */
+const CONTEXT_LINES = 2;
+
+/** Longer lines, e.g. of a resource sent as compact JSON, are cut to a window around the column. */
+const MAX_LINE_WIDTH = 160;
+
+/** The JSON string, literal or single character at the issue's column. */
+const TOKEN = /"(?:[^"\\]|\\.)*"|[^\s,:{}[\]<>"]+|[\s\S]/y;
+
+/**
+ * Markup the validator uses in `html` and `sliceHtml`. Any other tag is shown as text.
+ */
+const ALLOWED_TAG = /^<\/?(?:b|i|em|strong|code|br|p|ul|ol|li)\s*\/?>$/i;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * The validator's own markup is already escaped, but it echoes values from the
+ * resource, so only a few plain tags are kept.
+ */
+function safeHtml(html) {
+  return html.split(/(<[^<>]*>)/).map((part, index) => (index % 2 && ALLOWED_TAG.test(part))
+    ? part
+    : part.replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')).join('');
+}
+
+const levelClass = level => LEVELS.includes(level?.toLowerCase()) ? level.toLowerCase() : 'information';
+
+const messageHtml = issue => issue.html ? safeHtml(issue.html) : escapeHtml(issue.message ?? '');
+
+function clip(text, col) {
+  if (text.length <= MAX_LINE_WIDTH) return { text, start: 0, cut: false };
+  const start = Math.max(0, Math.min((col ?? 1) - 1 - MAX_LINE_WIDTH / 2, text.length - MAX_LINE_WIDTH));
+  return { text: text.slice(start, start + MAX_LINE_WIDTH), start, cut: true };
+}
+
+function renderLine(line, col, highlight) {
+  const { text, start, cut } = clip(line, col);
+  const before = cut && start > 0 ? '…' : '';
+  const after = cut && start + text.length < line.length ? '…' : '';
+  const index = highlight && col ? col - 1 - start : -1;
+  if (index < 0 || index >= text.length) return before + escapeHtml(text) + after;
+
+  TOKEN.lastIndex = index;
+  const token = TOKEN.exec(text)[0];
+  return before + escapeHtml(text.slice(0, index)) + `<mark>${escapeHtml(token)}</mark>` +
+    escapeHtml(text.slice(index + token.length)) + after;
+}
+
+/**
+ * The lines around an issue, with its line highlighted and the token at its column marked.
+ */
+function snippet(lines, issue) {
+  if (!lines || !issue.line || issue.line > lines.length) return '';
+  const first = Math.max(1, issue.line - CONTEXT_LINES);
+  const last = Math.min(lines.length, issue.line + CONTEXT_LINES);
+  const width = String(last).length;
+  const rows = [];
+  for (let number = first; number <= last; number++) {
+    const current = number === issue.line;
+    const row = `<span class="line-no">${String(number).padStart(width)}</span> ${renderLine(lines[number - 1], issue.col, current)}`;
+    rows.push(current ? `<span class="current">${row}</span>` : row);
+  }
+  return `<pre class="snippet">${rows.join('\n')}</pre>`;
+}
+
+/**
+ * How the element was matched against each slice: `sliceInfo` holds one issue
+ * per slice, its `sliceHtml` the discriminator. Older payloads only have `sliceText`.
+ */
+function sliceDetails(issue) {
+  let items;
+  if (issue.sliceInfo?.length) {
+    items = issue.sliceInfo.map(info => `<li class="${levelClass(info.level)}">${messageHtml(info)}` +
+      (info.sliceHtml ? `<div class="discriminator">${safeHtml(info.sliceHtml)}</div>` : '') +
+      sliceDetails(info) + '</li>');
+  } else if (issue.sliceText?.length) {
+    items = issue.sliceText.map(text => `<li>${escapeHtml(text)}</li>`);
+  } else {
+    return '';
+  }
+  return `<details class="slices"><summary>Slice matching (${items.length})</summary><ul>${items.join('')}</ul></details>`;
+}
+
+function renderIssue(issue, lines) {
+  const level = levelClass(issue.level);
+  const where = [position(issue), issue.location].filter(Boolean).map(escapeHtml);
+  return `<li class="issue ${level}">` +
+    `<div class="issue-head"><span class="level">${escapeHtml(issue.level ?? level)}</span>` +
+    (where.length ? ` <code>${where.join(' ')}</code>` : '') + '</div>' +
+    `<div class="message">${messageHtml(issue)}</div>` +
+    snippet(lines, issue) +
+    sliceDetails(issue) +
+    '</li>';
+}
+
+function renderRecord(record, index) {
+  const title = escapeHtml(resourceLabel(record)) + (record.file ? ` <span class="file">${escapeHtml(record.file)}</span>` : '');
+  if (record.error) {
+    return `<section class="resource failed" id="resource-${index}"><h2>❌ ${title}</h2>` +
+      `<p class="failure">Could not be validated: ${escapeHtml(record.error.message)}</p></section>`;
+  }
+
+  const { isValid, issues, counts } = record.result;
+  const status = isValid ? 'valid' : 'invalid';
+  const badges = LEVELS.filter(level => counts[level]).map(level => `<span class="badge ${level}">${counts[level]} ${level}</span>`).join(' ');
+  const lines = sourceText(record.source)?.split(/\r?\n/);
+  return `<section class="resource ${status}" id="resource-${index}"><h2>${isValid ? '✅' : '❌'} ${title} ${badges}</h2>` +
+    (issues.length ? `<ul class="issues">${issues.map(issue => renderIssue(issue, lines)).join('')}</ul>` : '<p>No issues.</p>') +
+    '</section>';
+}
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { margin-bottom: .25rem; }
+h2 { font-size: 1.1rem; margin: 0 0 .5rem; }
+.file { font-weight: normal; color: #59636e; font-size: .9rem; }
+.filters { position: sticky; top: 0; background: #fff; padding: .5rem 0; border-bottom: 1px solid #d1d9e0; margin-bottom: 1rem; }
+.filters label { margin-right: 1rem; }
+.resource { border: 1px solid #d1d9e0; border-radius: 6px; padding: 1rem; margin-bottom: 1rem; }
+.resource.invalid, .resource.failed { border-left: 4px solid #cf222e; }
+.resource.valid { border-left: 4px solid #1a7f37; }
+.issues { list-style: none; padding: 0; margin: 0; }
+.issue { border-top: 1px solid #eef1f4; padding: .5rem 0; }
+.level, .badge { font-size: .75rem; font-weight: 600; padding: .1rem .4rem; border-radius: 4px; color: #fff; }
+.fatal .level, .badge.fatal, .error .level, .badge.error { background: #cf222e; }
+.warning .level, .badge.warning { background: #9a6700; }
+.information .level, .badge.information { background: #0969da; }
+.message { margin: .25rem 0; }
+.snippet { background: #f6f8fa; padding: .5rem; overflow-x: auto; font-size: .85rem; }
+.snippet .line-no { color: #8c959f; user-select: none; }
+.snippet .current { background: #fff8c5; display: inline-block; min-width: 100%; }
+.snippet mark { background: #ffb3b8; }
+.slices ul { margin: .25rem 0; }
+.discriminator { font-family: monospace; font-size: .85rem; color: #59636e; }
+.failure { color: #cf222e; }
+${LEVELS.map(level => `.hide-${level} .issue.${level}`).join(', ')}, .hide-valid .resource.valid { display: none; }
+`;
+
+const SCRIPT = `
+document.querySelectorAll('.filters input').forEach(function (input) {
+  input.addEventListener('change', function () {
+    document.body.classList.toggle('hide-' + input.dataset.filter, input.dataset.filter === 'valid' ? input.checked : !input.checked);
+  });
+});
+`;
+
+/**
+ * Self-contained HTML page for people, not tools: a section per resource, with
+ * filters by severity, the source around each issue, and how elements were matched
+ * against slices. Snippets need the record's `source`.
+ * @param {import('./common.js').ValidationRecord[]} records
+ * @param {object} [options]
+ * @param {string} [options.title='FHIR Validation Report']
+ * @returns {string}
+ */
+function formatHtml(records, { title = 'FHIR Validation Report' } = {}) {
+  const summary = summarize(records);
+  const filters = LEVELS.map(level => `<label><input type="checkbox" data-filter="${level}" checked> ${level} (${summary.counts[level]})</label>`);
+  filters.push('<label><input type="checkbox" data-filter="valid"> Hide valid resources</label>');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${summary.total} resources: ${summary.valid} valid, ${summary.invalid} invalid, ${summary.failed} could not be validated.</p>
+<div class="filters">${filters.join('\n')}</div>
+${records.map(renderRecord).join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+export { formatHtml };
@@ -0,0 +1,37 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { formatText } from './text.js';
+import { formatJson } from './json.js';
+import { formatJUnit } from './junit.js';
+import { formatSarif } from './sarif.js';
+import { formatHtml } from './html.js';
+import { toRecords } from './common.js';
+
+const REPORTERS = {
+  text: formatText,
+  json: formatJson,
+  junit: formatJUnit,
+  sarif: formatSarif,
+  html: formatHtml
+};
+
+/**
+ * Formats validation records as a report.
+ * @param {import('./common.js').ValidationRecord[]} records
+ * @param {'text'|'json'|'junit'|'sarif'|'html'} [format='text']
+ * @param {object} [options] - Passed to the reporter
+ * @returns {string}
+ */
+function formatReport(records, format = 'text', options) {
+  const reporter = REPORTERS[format];
+  if (!reporter) {
+    throw new Error(`Invalid report format "${format}". Expected one of: ${Object.keys(REPORTERS).join(', ')}.`);
+  }
+  return reporter(records, options);
+}
+
+const REPORT_FORMATS = Object.keys(REPORTERS);
+
+export { formatReport, REPORT_FORMATS, formatText, formatJson, formatJUnit, formatSarif, formatHtml, toRecords };
@@ -0,0 +1,27 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { summarize } from '../summary.js';
+
+/**
+ * Machine-readable report: a summary, and each resource with its issues.
+ * @param {import('./common.js').ValidationRecord[]} records
+ * @returns {string}
+ */
+function formatJson(records) {
+  const report = {
+    summary: summarize(records),
+    results: records.map(record => ({
+      file: record.file,
+      resourceType: record.resourceType,
+      id: record.id,
+      valid: record.error ? false : record.result.isValid,
+      issues: record.result?.issues ?? [],
+      error: record.error?.message ?? null
+    }))
+  };
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+export { formatJson };
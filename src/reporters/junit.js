@@ -0,0 +1,69 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { summarize } from '../summary.js';
+import { resourceLabel, formatIssue } from './common.js';
+
+const FAILING_LEVELS = ['FATAL', 'ERROR'];
+
+/** Control characters other than tab, line feed and carriage return are not allowed in XML 1.0. */
+const isAllowedChar = char => char.charCodeAt(0) >= 0x20 || char === '\t' || char === '\n' || char === '\r';
+
+function escapeXml(text) {
+  return [...String(text)].filter(isAllowedChar).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function testcase(record) {
+  const failures = record.result?.issues.filter(issue => FAILING_LEVELS.includes(issue.level)) ?? [];
+  let attributes = `classname="${escapeXml(record.file ?? record.resourceType ?? 'resource')}" name="${escapeXml(resourceLabel(record))}" time="0"`;
+  // Read by CI test reporters to annotate the file, at the first error
+  if (record.file) attributes += ` file="${escapeXml(record.file)}"`;
+  if (record.file && failures[0]?.line) attributes += ` line="${failures[0].line}"`;
+  if (record.error) {
+    return `    <testcase ${attributes}>\n` +
+      `      <error message="${escapeXml(record.error.message)}" type="${escapeXml(record.error.name)}"/>\n` +
+      '    </testcase>';
+  }
+
+  const others = record.result.issues.filter(issue => !FAILING_LEVELS.includes(issue.level));
+  const body = [];
+  if (failures.length) {
+    const message = `${failures.length} error${failures.length === 1 ? '' : 's'}`;
+    body.push(`      <failure message="${message}" type="${failures[0].level}">${escapeXml(failures.map(formatIssue).join('\n'))}</failure>`);
+  }
+  // Warnings and information don't fail the test, but are kept for reference
+  if (others.length) {
+    body.push(`      <system-out>${escapeXml(others.map(formatIssue).join('\n'))}</system-out>`);
+  }
+  return body.length ? `    <testcase ${attributes}>\n${body.join('\n')}\n    </testcase>` : `    <testcase ${attributes}/>`;
+}
+
+/**
+ * JUnit XML report with one testcase per resource. Resources with error or
+ * fatal issues fail; resources that could not be validated are errors.
+ * @param {import('./common.js').ValidationRecord[]} records
+ * @param {object} [options]
+ * @param {string} [options.name='FHIR validation'] - Name of the test suite
+ * @returns {string}
+ */
+function formatJUnit(records, { name = 'FHIR validation' } = {}) {
+  const summary = summarize(records);
+  const counts = `tests="${summary.total}" failures="${summary.invalid}" errors="${summary.failed}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" ${counts}>`,
+    `  <testsuite name="${escapeXml(name)}" ${counts}>`,
+    ...records.map(testcase),
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+export { formatJUnit };
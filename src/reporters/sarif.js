@@ -0,0 +1,92 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import path from 'path';
+import { resourceLabel } from './common.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS = {
+  FATAL: 'error',
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFORMATION: 'note'
+};
+
+/** Rule for issues the validator gave no messageId. */
+const DEFAULT_RULE = 'fhir-validation';
+
+/**
+ * Code scanning resolves artifact URIs against the repository root, so files are
+ * made relative to `baseDir`, with forward slashes.
+ */
+function artifactUri(file, baseDir) {
+  const relative = path.isAbsolute(file) ? path.relative(baseDir, file) : file;
+  return relative.split(path.sep).join('/');
+}
+
+function location(record, issue, baseDir) {
+  const result = {};
+  if (record.file) {
+    result.physicalLocation = { artifactLocation: { uri: artifactUri(record.file, baseDir) } };
+    if (issue?.line) {
+      result.physicalLocation.region = issue.col ? { startLine: issue.line, startColumn: issue.col } : { startLine: issue.line };
+    }
+  }
+  // The FHIRPath of the element, e.g. Patient.identifier[0]
+  const fullyQualifiedName = issue?.location ?? resourceLabel(record);
+  result.logicalLocations = [{ fullyQualifiedName, kind: 'element' }];
+  return result;
+}
+
+/**
+ * SARIF 2.1.0 log, e.g. for GitHub code scanning: one result per issue, located
+ * by file, line and column. Resources that could not be validated are reported
+ * as tool execution notifications.
+ * @param {import('./common.js').ValidationRecord[]} records
+ * @param {object} [options]
+ * @param {string} [options.baseDir=process.cwd()] - Absolute file paths are made relative to this
+ * @returns {string}
+ */
+function formatSarif(records, { baseDir = process.cwd() } = {}) {
+  const rules = new Set();
+  const results = [];
+  for (const record of records) {
+    for (const issue of record.result?.issues ?? []) {
+      const ruleId = issue.messageId || DEFAULT_RULE;
+      rules.add(ruleId);
+      results.push({
+        ruleId,
+        level: SARIF_LEVELS[issue.level] ?? 'note',
+        message: { text: issue.message ?? issue.messageId ?? 'Validation issue' },
+        locations: [location(record, issue, baseDir)]
+      });
+    }
+  }
+
+  const notifications = records.filter(record => record.error).map(record => ({
+    level: 'error',
+    message: { text: `${resourceLabel(record)} could not be validated: ${record.error.message}` },
+    locations: [location(record, null, baseDir)]
+  }));
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'fhir-validator-js',
+          informationUri: 'https://github.com/Outburn-IL/fhir-validator-js',
+          rules: [...rules].map(id => ({ id }))
+        }
+      },
+      invocations: [{ executionSuccessful: !notifications.length, toolExecutionNotifications: notifications }],
+      results
+    }]
+  };
+  return JSON.stringify(log, null, 2) + '\n';
+}
+
+export { formatSarif };
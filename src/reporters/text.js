@@ -0,0 +1,50 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { summarize } from '../summary.js';
+import { resourceLabel, position } from './common.js';
+
+const SHOWN_LEVELS = {
+  error: ['FATAL', 'ERROR'],
+  warning: ['FATAL', 'ERROR', 'WARNING'],
+  information: ['FATAL', 'ERROR', 'WARNING', 'INFORMATION']
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Human-readable report: one block per resource, then a summary line.
+ * @param {import('./common.js').ValidationRecord[]} records
+ * @param {object} [options]
+ * @param {'error'|'warning'|'information'} [options.level='warning'] - Least severe issues to list
+ * @returns {string}
+ */
+function formatText(records, { level = 'warning' } = {}) {
+  const shown = SHOWN_LEVELS[level];
+  if (!shown) {
+    throw new Error(`Invalid level "${level}". Expected one of: ${Object.keys(SHOWN_LEVELS).join(', ')}.`);
+  }
+
+  const lines = [];
+  for (const record of records) {
+    const title = [record.file, resourceLabel(record)].filter(Boolean).join('  ');
+    if (record.error) {
+      lines.push(`❌ ${title}  could not be validated: ${record.error.message}`);
+      continue;
+    }
+    lines.push(`${record.result.isValid ? '✅' : '❌'} ${title}`);
+    for (const issue of record.result.issues.filter(issue => shown.includes(issue.level))) {
+      lines.push(`    ${issue.level.padEnd(11)} ${position(issue).padEnd(8)} ${issue.location ? `${issue.location}: ` : ''}${issue.message}`);
+    }
+  }
+
+  const summary = summarize(records);
+  const { fatal, error, warning, information } = summary.counts;
+  lines.push('');
+  lines.push(`${plural(summary.total, 'resource')}: ${summary.valid} valid, ${summary.invalid} invalid, ${summary.failed} failed. ` +
+    `${plural(fatal + error, 'error')}, ${plural(warning, 'warning')}, ${information} information.`);
+  return lines.join('\n') + '\n';
+}
+
+export { formatText };
@@ -0,0 +1,107 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import { toOperationOutcome } from './operation-outcome.js';
+
+/**
+ * Matches a value against a filter given as a string, RegExp, array of those, or predicate.
+ */
+function matches(value, filter) {
+  if (Array.isArray(filter)) return filter.some(f => matches(value, f));
+  if (filter instanceof RegExp) return filter.test(value ?? '');
+  if (typeof filter === 'function') return Boolean(filter(value));
+  return value === filter;
+}
+
+/**
+ * A location filter string matches that element and everything below it,
+ * e.g. `Patient.name` matches `Patient.name[0].given`.
+ */
+function matchesLocation(location, filter) {
+  if (typeof filter !== 'string') return matches(location, filter);
+  if (!location) return false;
+  return location === filter || location.startsWith(`${filter}.`) || location.startsWith(`${filter}[`);
+}
+
+/**
+ * Wraps the issue list returned by yafva.jar with severity helpers.
+ *
+ * The only enumerable property is `issues` (the raw array, not a copy), and
+ * `toJSON()` returns the raw payload, so serializing a result gives exactly what
+ * the validator sent.
+ */
+class ValidationResult {
+  /**
+   * @param {{ issues: object[] }} raw - Payload returned by yafva.jar
+   */
+  constructor(raw) {
+    Object.defineProperty(this, 'raw', { value: raw, enumerable: false });
+    this.issues = raw?.issues ?? [];
+  }
+
+  /** Issues at `ERROR` or `FATAL` level. */
+  get errors() {
+    return this.issues.filter(issue => issue.level === 'ERROR' || issue.level === 'FATAL');
+  }
+
+  /** Issues at `WARNING` level. */
+  get warnings() {
+    return this.issues.filter(issue => issue.level === 'WARNING');
+  }
+
+  /** Issues at `INFORMATION` level. */
+  get information() {
+    return this.issues.filter(issue => issue.level === 'INFORMATION');
+  }
+
+  /** True when there are no error or fatal issues. Warnings don't make a resource invalid. */
+  get isValid() {
+    return this.errors.length === 0;
+  }
+
+  /**
+   * Number of issues per severity.
+   * @returns {{ fatal: number, error: number, warning: number, information: number }}
+   */
+  get counts() {
+    const counts = { fatal: 0, error: 0, warning: 0, information: 0 };
+    for (const issue of this.issues) {
+      const key = issue.level?.toLowerCase();
+      if (key in counts) counts[key]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Selects issues by level, location or message id. Each criterion may be a
+   * string, a RegExp, an array of those, or a predicate; all given criteria must match.
+   * @param {object} [criteria]
+   * @param {*} [criteria.level] - e.g. `'ERROR'` or `['ERROR', 'FATAL']`
+   * @param {*} [criteria.location] - A string also matches issues on child elements
+   * @param {*} [criteria.messageId] - e.g. `'Validation_VAL_Profile_Minimum'`
+   * @returns {object[]} Matching issues
+   */
+  filter({ level, location, messageId } = {}) {
+    return this.issues.filter(issue =>
+      (level === undefined || matches(issue.level, level)) &&
+      (location === undefined || matchesLocation(issue.location, location)) &&
+      (messageId === undefined || matches(issue.messageId, messageId))
+    );
+  }
+
+  /**
+   * Converts the result to a FHIR OperationOutcome resource.
+   * @param {object} [options] - See toOperationOutcome()
+   * @returns {object}
+   */
+  toOperationOutcome(options) {
+    return toOperationOutcome(this, options);
+  }
+
+  toJSON() {
+    return this.raw;
+  }
+}
+
+export default ValidationResult;
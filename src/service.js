@@ -0,0 +1,309 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import http from 'http';
+import { Buffer } from 'buffer';
+import { URL, URLSearchParams } from 'url';
+import { detectFormat } from './payload.js';
+import { describeResource } from './reporters/common.js';
+
+/**
+ * HTTP layer over a shared FHIRValidator or FHIRValidatorPool:
+ *
+ * - `POST /$validate` and `POST /[type]/$validate` take a FHIR `Parameters`
+ *   resource (with a `resource` and any `profile` parameters) or a bare resource,
+ *   and answer with an OperationOutcome. Profiles can also be given as `profile`
+ *   query parameters, repeated or comma-separated.
+ * - `GET /health` reports the state of the validator's JVMs.
+ */
+
+const DEFAULT_MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const FHIR_JSON = 'application/fhir+json; charset=utf-8';
+
+const CONTENT_FORMATS = {
+  'application/fhir+json': 'json',
+  'application/json': 'json',
+  'application/fhir+xml': 'xml',
+  'application/xml': 'xml',
+  'text/xml': 'xml'
+};
+
+const VALIDATE_PATH = /^\/(?:([A-Z][A-Za-z]+)\/)?\$validate$/;
+const HEALTH_PATH = '/health';
+
+/**
+ * A request the service refuses, answered with `status` and an OperationOutcome.
+ */
+class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function operationOutcome(code, diagnostics, severity = 'error') {
+  return { resourceType: 'OperationOutcome', issue: [{ severity, code, diagnostics }] };
+}
+
+const errorResponse = error => ({ status: error.status, body: operationOutcome(error.code, error.message) });
+
+/**
+ * Reads a request body, refusing it once it passes `maxBodyBytes`.
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new RequestError(413, 'too-long', `Request body exceeds the limit of ${maxBodyBytes} bytes.`);
+    if (Number(req.headers['content-length']) > maxBodyBytes) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        // Keep draining, so the 413 can still be written to the socket
+        chunks.length = 0;
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parameterValue(parameter) {
+  return parameter.valueCanonical ?? parameter.valueUri ?? parameter.valueString ?? parameter.valueUrl;
+}
+
+/**
+ * Works out what to validate from the request body: a bare resource, or the
+ * `resource` parameter of a Parameters resource.
+ */
+function parseValidationInput(body, contentType) {
+  const mediaType = contentType?.split(';')[0].trim().toLowerCase();
+  let format;
+  if (mediaType) {
+    format = CONTENT_FORMATS[mediaType];
+    if (!format) {
+      throw new RequestError(415, 'not-supported', `Unsupported content type "${mediaType}". Expected FHIR JSON or XML.`);
+    }
+  } else {
+    format = detectFormat(body);
+  }
+
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+  if (typeof text === 'string' && !text.trim()) {
+    throw new RequestError(400, 'required', 'Request body is empty. Expected a Parameters resource or a resource to validate.');
+  }
+
+  if (format === 'xml') {
+    const { resourceType } = describeResource(text);
+    if (resourceType === 'Parameters') {
+      throw new RequestError(415, 'not-supported', 'Parameters must be sent as JSON. A bare resource may be sent as XML.');
+    }
+    return { resource: text, resourceType, format, profiles: [], includeLineCol: true };
+  }
+
+  let parsed = text;
+  if (typeof text === 'string') {
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new RequestError(400, 'invalid', `Request body is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || !parsed.resourceType) {
+    throw new RequestError(400, 'invalid', 'Request body is not a FHIR resource: resourceType is missing.');
+  }
+  if (parsed.resourceType !== 'Parameters') {
+    return { resource: typeof text === 'string' ? text : parsed, resourceType: parsed.resourceType, format, profiles: [], includeLineCol: typeof text === 'string' };
+  }
+
+  const parameters = parsed.parameter ?? [];
+  const resource = parameters.find(parameter => parameter.name === 'resource')?.resource;
+  if (!resource) {
+    throw new RequestError(400, 'required', 'Parameters has no "resource" parameter with the resource to validate.');
+  }
+  return {
+    resource,
+    resourceType: resource.resourceType,
+    format,
+    profiles: parameters.filter(parameter => parameter.name === 'profile').map(parameterValue).filter(Boolean),
+    // Taken out of the Parameters, so it has no position in the request of its own
+    includeLineCol: false
+  };
+}
+
+/**
+ * Validates one `$validate` request.
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function handleValidate(validator, { resourceType, searchParams, contentType, body }) {
+  let input;
+  try {
+    input = parseValidationInput(body, contentType);
+    if (resourceType && input.resourceType !== resourceType) {
+      throw new RequestError(400, 'invalid', `Resource type "${input.resourceType}" doesn't match the ${resourceType}/$validate endpoint.`);
+    }
+  } catch (error) {
+    if (error instanceof RequestError) return errorResponse(error);
+    throw error;
+  }
+
+  const queryProfiles = searchParams.getAll('profile').flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+  const profiles = [...new Set([...queryProfiles, ...input.profiles])];
+  let outcome;
+  try {
+    outcome = await validator.validate(input.resource, profiles, {
+      format: input.format,
+      output: 'operationOutcome',
+      includeLineCol: input.includeLineCol,
+      settle: true
+    });
+  } catch (error) {
+    // e.g. the validator has been shut down, or no pool member is healthy
+    outcome = { status: 'rejected', reason: error };
+  }
+  if (outcome.status === 'rejected') {
+    return { status: 503, body: operationOutcome('transient', `Validation could not be performed: ${outcome.reason.message}`, 'fatal') };
+  }
+  return { status: 200, body: outcome.value };
+}
+
+/**
+ * `up` when every JVM is ready and answers a ping, `degraded` when only some do,
+ * `down` when none do.
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function handleHealth(validator) {
+  const members = validator.members ?? [validator];
+  const validators = await Promise.all(members.map(async member => ({
+    state: member.state,
+    pid: member.pid,
+    healthy: member.state === 'ready' && await member.isHealthy()
+  })));
+  const healthy = validators.filter(member => member.healthy).length;
+  const status = healthy === validators.length && healthy > 0 ? 'up' : healthy ? 'degraded' : 'down';
+  return { status: status === 'down' ? 503 : 200, body: { status, validators } };
+}
+
+function send(res, { status, body }) {
+  const contentType = body.resourceType ? FHIR_JSON : 'application/json; charset=utf-8';
+  const payload = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(payload) });
+  res.end(payload);
+}
+
+/**
+ * Request handler for Node's HTTP server, Connect and Express. Requests for
+ * other paths are passed to `next()`, or answered with 404 without it. If a body
+ * parser already read the request, its `req.body` is used, within its own limit.
+ * @param {import('./validator.js').default|import('./pool.js').default} validator - Started, and shared
+ * @param {object} [options]
+ * @param {number} [options.maxBodyBytes=10485760] - Larger requests are answered with 413
+ * @returns {(req: http.IncomingMessage, res: http.ServerResponse, next?: Function) => Promise<void>}
+ */
+function createValidationHandler(validator, { maxBodyBytes = DEFAULT_MAX_BODY_BYTES } = {}) {
+  return async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    const validateMatch = url.pathname.match(VALIDATE_PATH);
+    const route = validateMatch ? 'validate' : url.pathname === HEALTH_PATH ? 'health' : null;
+    if (!route) {
+      if (next) next();
+      else send(res, { status: 404, body: operationOutcome('not-found', `Unknown path ${url.pathname}.`) });
+      return;
+    }
+    const allowed = route === 'validate' ? 'POST' : 'GET';
+    if (req.method !== allowed && !(route === 'health' && req.method === 'HEAD')) {
+      res.setHeader('Allow', allowed);
+      send(res, { status: 405, body: operationOutcome('not-supported', `${req.method} is not supported on ${url.pathname}.`) });
+      return;
+    }
+
+    try {
+      if (route === 'health') {
+        send(res, await handleHealth(validator));
+        return;
+      }
+      const body = req.readableEnded && req.body !== undefined ? req.body : await readBody(req, maxBodyBytes);
+      send(res, await handleValidate(validator, {
+        resourceType: validateMatch[1],
+        searchParams: url.searchParams,
+        contentType: req.headers['content-type'],
+        body
+      }));
+    } catch (error) {
+      if (error instanceof RequestError) send(res, errorResponse(error));
+      else if (next) next(error);
+      else send(res, { status: 500, body: operationOutcome('exception', error.message, 'fatal') });
+    }
+  };
+}
+
+/**
+ * Standalone HTTP server for the validation service. It's returned without
+ * listening; closing it leaves the validator running.
+ * @param {import('./validator.js').default|import('./pool.js').default} validator - Started, and shared
+ * @param {object} [options] - As for createValidationHandler()
+ * @returns {http.Server}
+ *
+ * @example
+ * const server = createValidationServer(validator);
+ * server.listen(8080);
+ */
+function createValidationServer(validator, options) {
+  return http.createServer(createValidationHandler(validator, options));
+}
+
+/**
+ * Fastify plugin for the validation service. Register it with a `prefix` to
+ * mount the routes elsewhere. Request bodies are read as they are within the
+ * plugin, whatever parsers the rest of the app uses.
+ * @param {object} fastify
+ * @param {object} options
+ * @param {import('./validator.js').default|import('./pool.js').default} options.validator - Started, and shared
+ * @param {number} [options.maxBodyBytes=10485760] - Larger requests are answered with 413
+ *
+ * @example
+ * fastify.register(fastifyValidationPlugin, { validator, prefix: '/fhir' });
+ */
+async function fastifyValidationPlugin(fastify, { validator, maxBodyBytes = DEFAULT_MAX_BODY_BYTES }) {
+  if (!validator) throw new Error('fastifyValidationPlugin needs a validator option.');
+
+  fastify.removeAllContentTypeParsers();
+  fastify.addContentTypeParser('*', { parseAs: 'buffer', bodyLimit: maxBodyBytes }, (request, body, done) => done(null, body));
+  fastify.setErrorHandler((error, request, reply) => {
+    const response = error.code === 'FST_ERR_CTP_BODY_TOO_LARGE'
+      ? errorResponse(new RequestError(413, 'too-long', `Request body exceeds the limit of ${maxBodyBytes} bytes.`))
+      : { status: error.statusCode ?? 500, body: operationOutcome(error.statusCode < 500 ? 'invalid' : 'exception', error.message) };
+    reply.code(response.status).type(FHIR_JSON).send(response.body);
+  });
+
+  const reply = (fastifyReply, { status, body }) => fastifyReply
+    .code(status)
+    .type(body.resourceType ? FHIR_JSON : 'application/json; charset=utf-8')
+    .send(body);
+
+  const validateRoute = async (request, fastifyReply) => reply(fastifyReply, await handleValidate(validator, {
+    resourceType: request.params.resourceType,
+    searchParams: new URLSearchParams(request.raw.url.split('?')[1] ?? ''),
+    contentType: request.headers['content-type'],
+    body: request.body ?? Buffer.alloc(0)
+  }));
+  fastify.post('/$validate', validateRoute);
+  fastify.post('/:resourceType/$validate', validateRoute);
+  fastify.get(HEALTH_PATH, async (request, fastifyReply) => reply(fastifyReply, await handleHealth(validator)));
+}
+
+export { createValidationHandler, createValidationServer, fastifyValidationPlugin };
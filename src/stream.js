@@ -0,0 +1,101 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+import fs from 'fs-extra';
+import readline from 'readline';
+import { createSummary, addToSummary } from './summary.js';
+
+/**
+ * Validates one NDJSON line. Never rejects: parse and validator failures are
+ * reported on the record, so one bad line doesn't end the stream.
+ */
+async function validateLine(validator, text, line, profiles) {
+  let resource;
+  try {
+    resource = JSON.parse(text);
+  } catch (error) {
+    return { line, resourceType: null, id: null, result: null, error: new Error(`Invalid JSON on line ${line}: ${error.message}`) };
+  }
+
+  const record = { line, resourceType: resource?.resourceType ?? null, id: resource?.id ?? null, result: null, error: null };
+  try {
+    record.result = await validator.validate(text, profiles, { format: 'json' });
+  } catch (error) {
+    record.error = error;
+  }
+  return record;
+}
+
+/**
+ * Validates NDJSON (one resource per line, e.g. a FHIR Bulk Data export)
+ * without loading it into memory.
+ *
+ * Up to `concurrency` lines are validated at a time, and reading pauses while
+ * that many are in flight. Records are yielded in input order. Blank lines are
+ * skipped but still counted for line numbers.
+ *
+ * The returned iterator has a `summary` promise that resolves once iteration
+ * ends, including when the consumer stops early (then `completed` is false).
+ *
+ * @param {{ validate: Function, concurrency: number }} validator - A FHIRValidator or FHIRValidatorPool
+ * @param {string|import('stream').Readable} source - NDJSON file path or readable stream
+ * @param {object} [options]
+ * @param {string|string[]} [options.profiles] - Profiles to validate every resource against
+ * @param {number} [options.concurrency] - Lines validated at once, defaults to the validator's `concurrency`
+ * @returns {AsyncGenerator<{ line: number, resourceType: string|null, id: string|null, result: import('./result.js').default|null, error: Error|null }>
+ *   & { summary: Promise<object> }}
+ */
+function validateNdjson(validator, source, { profiles = [], concurrency = validator.concurrency } = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${concurrency}". Expected a positive integer.`);
+  }
+
+  let settleSummary;
+  const summaryPromise = new Promise((resolve, reject) => {
+    settleSummary = { resolve, reject };
+  });
+  // Iteration errors surface through the iterator; don't report them twice as unhandled
+  summaryPromise.catch(() => {});
+
+  async function* iterate() {
+    const input = typeof source === 'string' ? fs.createReadStream(source) : source;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const summary = { ...createSummary(), durationMs: 0, completed: false };
+    const startedAt = Date.now();
+    const pending = [];
+    let lineNumber = 0;
+
+    const next = async () => {
+      const record = await pending.shift();
+      addToSummary(summary, record);
+      return record;
+    };
+
+    try {
+      for await (const text of lines) {
+        lineNumber++;
+        if (!text.trim()) continue;
+
+        pending.push(validateLine(validator, text, lineNumber, profiles));
+        if (pending.length >= concurrency) yield await next();
+      }
+      while (pending.length) yield await next();
+      summary.completed = true;
+    } catch (error) {
+      settleSummary.reject(error);
+      throw error;
+    } finally {
+      lines.close();
+      if (typeof source === 'string') input.destroy();
+      summary.durationMs = Date.now() - startedAt;
+      settleSummary.resolve(summary);
+    }
+  }
+
+  const iterator = iterate();
+  iterator.summary = summaryPromise;
+  return iterator;
+}
+
+export { validateNdjson };
@@ -0,0 +1,42 @@
+/**
+ * © Copyright Outburn Ltd. 2025 All Rights Reserved
+ *   Project name: FUME / FHIR Validator
+ */
+
+/**
+ * Totals over validation records, i.e. objects with a `result` (ValidationResult)
+ * or an `error` when the resource could not be validated.
+ */
+function createSummary() {
+  return {
+    total: 0,
+    valid: 0,
+    invalid: 0,
+    failed: 0,
+    counts: { fatal: 0, error: 0, warning: 0, information: 0 }
+  };
+}
+
+function addToSummary(summary, record) {
+  summary.total++;
+  if (record.error) {
+    summary.failed++;
+    return summary;
+  }
+  if (record.result.isValid) summary.valid++;
+  else summary.invalid++;
+  for (const [level, count] of Object.entries(record.result.counts)) {
+    summary.counts[level] += count;
+  }
+  return summary;
+}
+
+/**
+ * @param {Array<{ result: import('./result.js').default|null, error: Error|null }>} records
+ * @returns {{ total: number, valid: number, invalid: number, failed: number, counts: object }}
+ */
+function summarize(records) {
+  return records.reduce(addToSummary, createSummary());
+}
+
+export { createSummary, addToSummary, summarize };
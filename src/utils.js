@@ -3,13 +3,15 @@
  *   Project name: FUME / FHIR Validator
  */
 import fs from 'fs-extra';
+import crypto from 'crypto';
 import { join, basename } from 'path';
 import axios from 'axios';
 import { log, logError } from './logger.js';
-import { jdkPath, jarPath } from './paths.js';
+import { jdkPath } from './paths.js';
+import { isRemoteSource } from './config.js';
 
-const ADOPTIUM_JDK_URL = 'https://api.github.com/repos/adoptium/temurin21-binaries/releases/latest';
-const YAFVA_JAR_URL = 'https://api.github.com/repos/Outburn-IL/yafva.jar/releases/latest';
+const ADOPTIUM_RELEASES_URL = 'https://api.github.com/repos/adoptium/temurin21-binaries/releases';
+const YAFVA_RELEASES_URL = 'https://api.github.com/repos/Outburn-IL/yafva.jar/releases';
 
 function clearOldJdkVersions() {
   if (fs.existsSync(jdkPath)) {
@@ -37,59 +39,281 @@ function getOsArchitecture() {
   return { os, arch };
 }
 
-async function downloadAndExtractJDK() {
-  log('📦 Installing OpenJDK...');
+/**
+ * Adoptium asset names look like `OpenJDK21U-jre_x64_linux_hotspot_21.0.5_11.tar.gz`.
+ */
+function isJreArchive(name, os, arch) {
+  return name.includes(`jre_${arch}_${os}`) &&
+    (name.endsWith('.zip') || name.endsWith('.tar.gz'));
+}
 
-  // Ensure the JDK directory exists before downloading
-  fs.ensureDirSync(jdkPath);
+/**
+ * Derives the Adoptium release tag (e.g. `jdk-21.0.5+11`) from an archive file name.
+ */
+function getJreVersionFromArchive(name) {
+  const match = name.match(/hotspot_(\d+(?:\.\d+)*)_(\d+)/);
+  return match ? `jdk-${match[1]}+${match[2]}` : null;
+}
 
-  const response = await axios.get(ADOPTIUM_JDK_URL);
-  const assets = response.data.assets;
-  const { os, arch } = getOsArchitecture();
+function getYafvaVersionFromJar(name) {
+  const match = name.match(/yafva-(.+)\.jar$/);
+  return match ? match[1] : null;
+}
 
-  const jdkAsset = assets.find(a =>
-    a.name.includes(`jre_${arch}_${os}`) &&
-        (a.name.endsWith('.zip') || a.name.endsWith('.tar.gz'))
-  );
+/**
+ * File name a JRE archive is expected under on an HTTP mirror, where the
+ * directory cannot be listed.
+ */
+function getMirrorJreArchiveName(os, arch) {
+  return `jre_${arch}_${os}.${os === 'windows' ? 'zip' : 'tar.gz'}`;
+}
+
+/**
+ * Pinned JRE checksums may be a single value or a map keyed by `<arch>_<os>`.
+ */
+function getPinnedJreSha256(config, os, arch) {
+  if (!config.jreSha256) return undefined;
+  return typeof config.jreSha256 === 'string'
+    ? config.jreSha256
+    : config.jreSha256[`${arch}_${os}`];
+}
+
+/**
+ * Lists the configured local/mirror locations of the JRE archive, most specific first.
+ * An HTTP mirror's archive name carries no version, so with a pinned version it is
+ * only taken when `jreSha256` is pinned for the platform too, which it must then match.
+ * @returns {{ location: string, version: string|null }[]}
+ */
+function getJreSources(config, os, arch) {
+  const sources = [];
+  if (config.jreArchive) {
+    sources.push({
+      location: config.jreArchive,
+      version: config.jreVersion ?? getJreVersionFromArchive(basename(config.jreArchive))
+    });
+  }
+  if (config.mirror) {
+    if (isRemoteSource(config.mirror)) {
+      if (!config.jreVersion || getPinnedJreSha256(config, os, arch)) {
+        sources.push({
+          location: `${config.mirror.replace(/\/+$/, '')}/${getMirrorJreArchiveName(os, arch)}`,
+          version: config.jreVersion ?? null
+        });
+      }
+    } else if (fs.existsSync(config.mirror)) {
+      const archive = fs.readdirSync(config.mirror).find(name =>
+        isJreArchive(name, os, arch) &&
+        (!config.jreVersion || getJreVersionFromArchive(name) === config.jreVersion)
+      );
+      if (archive) {
+        sources.push({ location: join(config.mirror, archive), version: getJreVersionFromArchive(archive) });
+      }
+    }
+  }
+  return sources;
+}
+
+/**
+ * Lists the configured local/mirror locations of yafva.jar, most specific first.
+ * A pinned version is looked up as `yafva-<version>.jar`. The mirror's plain
+ * `yafva.jar` could be any version, so with a pinned version it is only taken
+ * when `yafvaSha256` is pinned too, which it must then match.
+ * @returns {{ location: string, version: string|null }[]}
+ */
+function getYafvaJarSources(config) {
+  const sources = [];
+  if (config.yafvaJar) {
+    sources.push({
+      location: config.yafvaJar,
+      version: config.yafvaVersion ?? getYafvaVersionFromJar(basename(config.yafvaJar))
+    });
+  }
+  if (config.mirror) {
+    const names = !config.yafvaVersion ? ['yafva.jar']
+      : config.yafvaSha256 ? [`yafva-${config.yafvaVersion}.jar`, 'yafva.jar']
+        : [`yafva-${config.yafvaVersion}.jar`];
+    for (const name of names) {
+      sources.push({
+        location: isRemoteSource(config.mirror)
+          ? `${config.mirror.replace(/\/+$/, '')}/${name}`
+          : join(config.mirror, name),
+        version: config.yafvaVersion ?? null
+      });
+    }
+  }
+  return sources;
+}
+
+/**
+ * Streams a remote file to disk.
+ */
+async function downloadFile(url, destFile) {
+  const response = await axios({ url, responseType: 'stream' });
+  const writer = fs.createWriteStream(destFile);
+
+  return new Promise((resolve, reject) => {
+    response.data.pipe(writer);
+    writer.on('finish', resolve);
+    writer.on('error', reject);
+    response.data.on('error', reject);
+  });
+}
+
+/**
+ * Copies a local file or downloads a remote one to the given destination.
+ */
+async function fetchArtifact(location, destFile) {
+  if (isRemoteSource(location)) {
+    log(`⬇ Downloading from: ${location}`);
+    await downloadFile(location, destFile);
+  } else {
+    log(`📁 Copying from: ${location}`);
+    await fs.copy(location, destFile);
+  }
+}
+
+/**
+ * Computes the SHA-256 checksum of a file.
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Fetches an artifact and checks it against the expected checksum, if any.
+ * A file that fails the check is removed.
+ * @returns {Promise<string>} The actual checksum of the fetched file
+ */
+async function fetchVerifiedArtifact(label, location, destFile, expectedSha256) {
+  try {
+    await fetchArtifact(location, destFile);
+    const sha256 = await sha256File(destFile);
+    if (expectedSha256 && sha256 !== expectedSha256.toLowerCase()) {
+      throw new Error(`Checksum mismatch for ${label}: expected ${expectedSha256.toLowerCase()}, got ${sha256}`);
+    }
+    return sha256;
+  } catch (error) {
+    fs.removeSync(destFile);
+    throw error;
+  }
+}
+
+/**
+ * Tries each configured source in turn and falls back to the GitHub release,
+ * unless offline mode forbids it.
+ * @param {string} label - Artifact name used in log and error messages
+ * @param {{ location: string, version: string|null }[]} sources - Local paths or mirror URLs to try first
+ * @param {(location: string) => string} getDestFile - Maps a source location to the file it is written to
+ * @param {object} config - Install config from loadInstallConfig()
+ * @param {string} [pinnedSha256] - Checksum every source must match
+ * @param {() => Promise<{ url: string, version: string, sha256?: string }>} getRelease - Resolves the GitHub release
+ * @returns {Promise<{ file: string, source: string, version: string|null, sha256: string }>}
+ */
+async function fetchFromSources(label, sources, getDestFile, config, pinnedSha256, getRelease) {
+  for (const { location, version } of sources) {
+    const destFile = getDestFile(location);
+    try {
+      const sha256 = await fetchVerifiedArtifact(label, location, destFile, pinnedSha256);
+      return { file: destFile, source: location, version, sha256 };
+    } catch (error) {
+      logError(`Failed to fetch ${label} from ${location}: ${error.message}`);
+    }
+  }
 
+  if (config.offline) {
+    throw new Error(`${label} is not available from any configured local source and offline mode is enabled.`);
+  }
+
+  const release = await getRelease();
+  const destFile = getDestFile(release.url);
+  const sha256 = await fetchVerifiedArtifact(label, release.url, destFile, pinnedSha256 ?? release.sha256);
+  return { file: destFile, source: release.url, version: release.version, sha256 };
+}
+
+/**
+ * Fetches the Adoptium JRE archive URL and its published checksum for this
+ * platform from GitHub Releases.
+ * @param {string} [version] - Release tag to pin (e.g. `jdk-21.0.5+11`), latest if omitted
+ */
+async function getJreRelease(version, os, arch) {
+  const releaseUrl = version
+    ? `${ADOPTIUM_RELEASES_URL}/tags/${encodeURIComponent(version)}`
+    : `${ADOPTIUM_RELEASES_URL}/latest`;
+  const response = await axios.get(releaseUrl);
+  const assets = response.data.assets;
+
+  const jdkAsset = assets.find(a => isJreArchive(a.name, os, arch));
   if (!jdkAsset) {
     throw new Error(`No matching JDK binary found for OS: ${os}, Arch: ${arch}`);
   }
 
-  const jdkUrl = jdkAsset.browser_download_url;
-  const jdkFile = join(jdkPath, basename(jdkUrl));
+  let sha256;
+  const checksumAsset = assets.find(a => a.name === `${jdkAsset.name}.sha256.txt`);
+  if (checksumAsset) {
+    const checksumResponse = await axios.get(checksumAsset.browser_download_url, { responseType: 'text' });
+    sha256 = String(checksumResponse.data).trim().split(/\s+/)[0];
+  }
+
+  return { url: jdkAsset.browser_download_url, version: response.data.tag_name, sha256 };
+}
+
+/**
+ * Extracts a JRE archive (.zip or .tar.gz) into `targetDir`.
+ */
+async function extractArchive(file, targetDir) {
+  if (file.endsWith('.zip')) {
+    const AdmZip = (await import('adm-zip')).default;
+    const zip = new AdmZip(file);
+    zip.extractAllTo(targetDir, true);
+  } else if (file.endsWith('.tar.gz')) {
+    // tar has named exports only
+    const { x } = await import('tar');
+    await x({ file, cwd: targetDir });
+  } else {
+    throw new Error('❌ Unsupported archive format for JDK.');
+  }
+}
 
-  log(`⬇ Downloading OpenJDK from: ${jdkUrl}`);
+/**
+ * Fetches the JRE archive and extracts it into the given directory.
+ * @param {string} targetDir - Directory the archive is written to and extracted in
+ * @param {object} config - Install config from loadInstallConfig()
+ * @param {{ url: string, version: string, sha256?: string }} [release] - Already resolved GitHub release to fall back to
+ * @returns {Promise<{ version: string|null, os: string, arch: string, source: string, sha256: string, folders: string[] }>}
+ *   Install details, including the top-level folders the archive extracted to
+ */
+async function fetchJre(targetDir, config, release) {
+  fs.ensureDirSync(targetDir);
+  const { os, arch } = getOsArchitecture();
 
-  // Ensure the file stream is correctly opened before writing
-  const writer = fs.createWriteStream(jdkFile);
-  const jdkResponse = await axios({ url: jdkUrl, responseType: 'stream' });
+  const fetched = await fetchFromSources(
+    'OpenJDK',
+    getJreSources(config, os, arch),
+    location => join(targetDir, basename(location)),
+    config,
+    getPinnedJreSha256(config, os, arch),
+    async () => release ?? getJreRelease(config.jreVersion, os, arch)
+  );
+  log(`✅ OpenJDK ${fetched.version ?? ''} downloaded.`);
 
-  return new Promise((resolve, reject) => {
-    jdkResponse.data.pipe(writer);
-    writer.on('finish', () => {
-      log('✅ OpenJDK downloaded.');
-      resolve();
-    });
-    writer.on('error', (err) => {
-      logError(`❌ JDK download failed: ${err.message}`);
-      reject(err);
-    });
-  }).then(async () => {
-    log('📦 Extracting OpenJDK...');
-    if (jdkFile.endsWith('.zip')) {
-      const AdmZip = (await import('adm-zip')).default;
-      const zip = new AdmZip(jdkFile);
-      zip.extractAllTo(jdkPath, true);
-    } else if (jdkFile.endsWith('.tar.gz')) {
-      const tar = (await import('tar')).default;
-      await tar.x({ file: jdkFile, cwd: jdkPath });
-    } else {
-      throw new Error('❌ Unsupported archive format for JDK.');
-    }
+  log('📦 Extracting OpenJDK...');
+  const before = new Set(fs.readdirSync(targetDir));
+  await extractArchive(fetched.file, targetDir);
+  const folders = fs.readdirSync(targetDir).filter(name => !before.has(name));
 
-    log('✅ OpenJDK installed.');
-  });
+  return {
+    version: fetched.version,
+    os,
+    arch,
+    source: fetched.source,
+    sha256: fetched.sha256,
+    folders
+  };
 }
 
 /**
@@ -123,74 +347,64 @@ function getJdkBinPath() {
 }
 
 /**
- * Returns the full path to the Java executable.
- * @returns {string} Path to the Java binary
- */
-function getJavaExecutable() {
-  const { os } = getOsArchitecture();
-  if (os === 'linux' )  return  'java';
-  
-  const binPath = getJdkBinPath();
-  return process.platform === 'win32'
-    ? join(binPath, 'java.exe')
-    : join(binPath, 'java');
-}
-
-/**
- * Fetches the latest YAFVA.JAR URL from GitHub Releases.
+ * Fetches the YAFVA.JAR release URL from GitHub Releases.
+ * @param {string} [version] - Release tag to pin, latest if omitted
  */
-async function getLatestYafvaJarUrl() {
+async function getYafvaRelease(version) {
   try {
-    log('🔎 Checking latest YAFVA.JAR release...');
-    const response = await axios.get(YAFVA_JAR_URL);
+    log(version ? `🔎 Looking up YAFVA.JAR release ${version}...` : '🔎 Checking latest YAFVA.JAR release...');
+    const response = await axios.get(version
+      ? `${YAFVA_RELEASES_URL}/tags/${encodeURIComponent(version)}`
+      : `${YAFVA_RELEASES_URL}/latest`);
     const assets = response.data.assets;
 
     const jarAsset = assets.find(asset => asset.name.startsWith('yafva-') && asset.name.endsWith('.jar'));
     if (!jarAsset) {
-      throw new Error('YAFVA.JAR not found in the latest release.');
+      throw new Error(`YAFVA.JAR not found in release ${response.data.tag_name}.`);
     }
 
-    log(`✅ Latest YAFVA.JAR Version: ${response.data.tag_name}`);
-    return jarAsset.browser_download_url;
+    log(`✅ YAFVA.JAR Version: ${response.data.tag_name}`);
+    return { url: jarAsset.browser_download_url, version: response.data.tag_name };
   } catch (error) {
-    logError('❌ Failed to fetch the latest YAFVA.JAR release.');
+    logError('❌ Failed to fetch the YAFVA.JAR release.');
     throw error;
   }
 }
 
 /**
-* Downloads the latest YAFVA.JAR.
-*/
-async function downloadYafvaJar() {
-  if (fs.existsSync(jarPath)) {
-    log('✅ YAFVA.JAR already installed.');
-    return;
+ * Fetches YAFVA.JAR to the given file.
+ * @param {string} destFile - Where the jar is written
+ * @param {object} config - Install config from loadInstallConfig()
+ * @param {{ url: string, version: string }} [release] - Already resolved GitHub release to fall back to
+ * @returns {Promise<{ version: string|null, source: string, sha256: string }>}
+ */
+async function fetchYafvaJar(destFile, config, release) {
+  try {
+    const fetched = await fetchFromSources(
+      'YAFVA.JAR',
+      getYafvaJarSources(config),
+      () => destFile,
+      config,
+      config.yafvaSha256,
+      async () => release ?? getYafvaRelease(config.yafvaVersion)
+    );
+    return { version: fetched.version, source: fetched.source, sha256: fetched.sha256 };
+  } catch (err) {
+    logError(`❌ YAFVA.JAR download failed: ${err.message}`);
+    throw err;
   }
-
-  const jarUrl = await getLatestYafvaJarUrl();
-  log(`⬇ Downloading YAFVA.JAR from: ${jarUrl}`);
-
-  const writer = fs.createWriteStream(jarPath);
-  const response = await axios({ url: jarUrl, responseType: 'stream' });
-
-  return new Promise((resolve, reject) => {
-    response.data.pipe(writer);
-    writer.on('finish', () => {
-      log('✅ YAFVA.JAR downloaded.');
-      resolve();
-    });
-    writer.on('error', (err) => {
-      logError(`❌ YAFVA.JAR download failed: ${err.message}`);
-      reject(err);
-    });
-  });
 }
 
 export {
   getOsArchitecture,
-  downloadAndExtractJDK,
+  getJreRelease,
+  getYafvaRelease,
+  fetchJre,
+  extractArchive,
+  getJreSources,
+  getYafvaJarSources,
+  fetchYafvaJar,
   clearOldJdkVersions,
   getJdkBinPath,
-  getJavaExecutable,
-  downloadYafvaJar
+  sha256File
 };
@@ -3,24 +3,46 @@
  *   Project name: FUME / FHIR Validator
  */
 
-import { getJavaExecutable } from './utils.js'; 
-import { log, logError } from './logger.js';
+import { getJavaExecutable } from './java.js';
+import { createLogger } from './logger.js';
+import { pipeProcessOutput, captureTail, watchServerPort, watchPortConflict } from './process-log.js';
 import axios from 'axios';
 import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
 import http from 'http'; // ✅ Use Node's built-in HTTP client
+import https from 'https';
+import { URL } from 'url';
 import net from 'net'; // ✅ Use Node's built-in net module to check if a port is in use
 import { jarPath } from './paths.js';
+import ValidationResult from './result.js';
+import { toOperationOutcome } from './operation-outcome.js';
+import { toRequestPayload } from './payload.js';
+import { BundleValidationResult, parseBundle } from './bundle.js';
+import { validateNdjson } from './stream.js';
+import RequestQueue from './queue.js';
+import { ValidatorRequestError, ValidatorStartupError } from './errors.js';
+import { addExitHook } from './exit-hooks.js';
+import { normalizeOptions } from './options.js';
+import { writeConformanceResources } from './conformance.js';
+import { ResultCache, createCacheStore, cacheScope } from './cache.js';
+
+/**
+ * Ports handed out by getRandomAvailablePort() whose process is still starting or
+ * running. Validators started side by side (e.g. a pool) must not pick the same
+ * port before either JVM has bound it.
+ */
+const reservedPorts = new Set();
 
 async function _isPortInUse(port) {
-  async function tryListen(host) {
+  async function tryListen(host, ipv6Only) {
     return new Promise((resolve) => {
       const server = net.createServer();
   
       server.once('error', (err) => {
-        if (err.code === 'EADDRINUSE') {
-          resolve(true); // Port is in use
+        if (err.code === 'EADDRINUSE' || err.code === 'EACCES') {
+          resolve(true); // Port is in use, or we may not bind it either
         } else {
-          resolve(false); // May be EPERM, EACCES, etc.
+          resolve(false); // May be EADDRNOTAVAIL/EAFNOSUPPORT when the address family is not available
         }
       });
   
@@ -31,19 +53,15 @@ async function _isPortInUse(port) {
       server.listen({
         port,
         host,
+        ipv6Only,
         exclusive: true, // ✅ This makes the binding strict
       });
     });
   }
   
-  // const [ipv4, ipv6] = await Promise.all([
-  //   tryListen('0.0.0.0'),
-  //   tryListen('::'),
-  // ]);
-  
-  // return ipv4 || ipv6;
-  const ipv4 = await tryListen('0.0.0.0');
-  return ipv4; // Only check IPv4 for now
+  // One after the other: a dual-stack IPv6 socket would also take the IPv4 port.
+  // ipv6Only keeps the IPv6 probe from failing just because of an IPv4 listener.
+  return (await tryListen('0.0.0.0', false)) || (await tryListen('::', true));
 }
 
 
@@ -62,8 +80,10 @@ async function getRandomAvailablePort() {
     const port = Math.floor(Math.random() * (MAX_PORT - MIN_PORT + 1)) + MIN_PORT;
     if (tried.has(port)) continue;
     tried.add(port);
+    if (reservedPorts.has(port)) continue;
   
-    if (!(await _isPortInUse(port))) {
+    if (!(await _isPortInUse(port)) && !reservedPorts.has(port)) {
+      reservedPorts.add(port);
       return port;
     }
   }
@@ -71,159 +91,595 @@ async function getRandomAvailablePort() {
   throw new Error('No available ports found in the dynamic/private range.');
 };
 
+/**
+ * URL to reach a server bound to `host`. A wildcard address also accepts loopback connections.
+ */
+function toServerUrl(host, port) {
+  if (!host || host === '0.0.0.0' || host === '::') host = 'localhost';
+  return `http://${net.isIPv6(host) ? `[${host}]` : host}:${String(port)}`;
+}
+
+/**
+ * Normalizes the URL of an existing Validator Server, e.g. `http://fhir-validator:3500/`.
+ */
+function parseServerUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid FHIR Validator Server url "${url}".`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Invalid FHIR Validator Server url "${url}". Expected an http or https URL.`);
+  }
+  return parsed.href.replace(/\/+$/, '');
+}
+
 function igsToArgArray(igs) {
   return igs.map((ig, i) => `--validator.ig[${String(i)}]=${ig}`);
 }
 
-class FHIRValidator {
+/**
+ * JVM arguments, which go before `-jar`.
+ */
+function toJvmArgs({ jvmOptions, systemProperties, packageCacheDir }) {
+  const properties = { ...systemProperties };
+  // The FHIR package cache lives in ~/.fhir/packages
+  if (packageCacheDir) properties['user.home'] = packageCacheDir;
+  return jvmOptions.concat(Object.entries(properties).map(([name, value]) => `-D${name}=${value}`));
+}
+
+/**
+ * Validator settings and extra Spring properties, which go after the jar.
+ */
+function toValidatorArgs({ locale, bestPracticeLevel, properties }) {
+  const args = [];
+  if (locale) args.push(`--validator.locale=${locale}`);
+  if (bestPracticeLevel) args.push(`--validator.best-practice-level=${bestPracticeLevel}`);
+  return args.concat(Object.entries(properties).map(([name, value]) => `--${name}=${value}`));
+}
+
+/**
+ * A promise that can be settled from outside, used to hold requests until the server is ready.
+ */
+function createReadiness() {
+  const readiness = {};
+  readiness.promise = new Promise((resolve, reject) => {
+    readiness.resolve = resolve;
+    readiness.reject = reject;
+  });
+  // Nobody may be waiting when it rejects
+  readiness.promise.catch(() => {});
+  return readiness;
+}
+
+/**
+ * Waits for `promise` at most `timeoutMs`.
+ * @returns {Promise<boolean>} - False if it timed out
+ */
+async function waitFor(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), Math.max(timeoutMs, 0));
+  });
+  try {
+    return await Promise.race([promise.then(() => true), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Runs and supervises one Validator Server process.
+ *
+ * If the process exits or stops answering health checks, it is restarted with
+ * exponential backoff. Requests made in the meantime wait until the server is
+ * ready again, and requests that were in flight when it went down are re-sent.
+ *
+ * Events: `ready` ({ pid, port }), `crashed` ({ reason, pid, code, signal }),
+ * `restarted` ({ pid, port, attempts }), `reloaded` ({ pid, port }) after
+ * reloadIgs(), and `error` (error) when the server could not be restarted.
+ *
+ * With a `url`, it attaches to a Validator Server that is already running
+ * instead. That server is neither supervised nor shut down by this instance.
+ */
+class FHIRValidator extends EventEmitter {
   constructor(cliContext = {}) {
-    this.javaExecutable = getJavaExecutable();
-    this.cliContext = cliContext;
-    if (this.cliContext?.txServer && ['n/a', '', 'null', 'none', 'na'].includes(this.cliContext.txServer)) this.cliContext.txServer = null;
-    this.cliContext.igs = this.cliContext?.igs || [];
-    this.cliContext.sv = this.cliContext?.sv || '4.0.1';
-    this.cliContext.threadsMin = this.cliContext?.threadsMin || 6;
-    this.cliContext.threadsMax = this.cliContext?.threadsMax || this.cliContext.threadsMin * 3;
+    super();
+    this.cliContext = normalizeOptions(cliContext);
+    this.logger = createLogger({ logger: this.cliContext.logger, level: this.cliContext.logLevel });
+    /** True when attached to a server this instance did not start. */
+    this.isRemote = Boolean(this.cliContext.url);
+    if (this.isRemote) {
+      this.validatorUrl = parseServerUrl(this.cliContext.url);
+    } else {
+      this.javaExecutable = getJavaExecutable({ javaPath: this.cliContext.javaPath, logger: this.logger });
+    }
     this.pid = null;
+    /** Process being started, until it serves requests as `process`. */
+    this.launchingProcess = null;
+    /** Folder with `conformanceResources` written to disk, while they are loaded. */
+    this.conformance = null;
+    this.reloading = false;
+    /** One of: stopped, starting, ready, restarting, failed, stopping. */
+    this.state = 'stopped';
+    this.readiness = createReadiness();
+    this.healthTimer = null;
+    /** Set by shutdown(); no new validations are accepted after that. */
+    this.closed = false;
+    this.shutdownPromise = null;
+    /** Validations that have not settled yet, for shutdown() to drain. */
+    this.activeValidations = new Set();
+    /** Processes stopped on purpose, whose exit is expected. */
+    this.stoppedProcesses = new WeakSet();
+
+    this.queue = new RequestQueue(this.cliContext.concurrency);
+    this.httpAgent = new http.Agent({ keepAlive: true, maxSockets: this.cliContext.concurrency });
+    this.httpsAgent = new https.Agent({ keepAlive: true, maxSockets: this.cliContext.concurrency });
+    this.http = axios.create({ httpAgent: this.httpAgent, httpsAgent: this.httpsAgent });
+
+    const cacheStore = createCacheStore(this.cliContext.cache);
+    /** Cache of validation results, with `hits` and `misses` counts; null unless the `cache` option is set. */
+    this.cache = cacheStore ? new ResultCache(cacheStore, this.logger) : null;
+    /** Configuration the cached results belong to, updated by reloadIgs(). */
+    this.cacheScope = this.cache ? cacheScope(this.cliContext) : null;
+  }
+
+  /**
+     * Maximum number of requests sent to the Validator Server at once.
+     * @returns {number}
+     */
+  get concurrency() {
+    return this.cliContext.concurrency;
+  }
+
+  /**
+     * Makes a single health check request to the Validator Server.
+     * @param {number} [timeoutMs=2000]
+     * @param {string} [url] - Defaults to the server in use
+     * @returns {Promise<void>} - Rejects if the server is unreachable, too slow or not OK.
+     */
+  ping(timeoutMs = 2000, url = this.validatorUrl) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.get(url, (res) => {
+        res.resume(); // Consume response data
+        if (res.statusCode === 200) {
+          resolve();
+        } else {
+          reject(new Error(`Unexpected status code: ${res.statusCode}`));
+        }
+      });
+
+      req.on('error', () => reject(new Error('Server not reachable')));
+      req.setTimeout(timeoutMs, () => {
+        req.destroy();
+        reject(new Error('Healthcheck timeout'));
+      });
+    });
+  }
+
+  /**
+     * Checks once whether the Validator Server process is alive and responding.
+     * @returns {Promise<boolean>}
+     */
+  async isHealthy() {
+    if (this.process && (this.process.exitCode !== null || this.process.signalCode !== null)) return false;
+    try {
+      await this.ping();
+      return true;
+    } catch {
+      return false;
+    }
   }
 
   /**
      * Checks if the Validator Server is available by making a direct HTTP request.
      * @returns {Promise<boolean>} - Resolves to true if the server is responsive, otherwise false.
      */
-  async isValidatorServerUp() {
+  async isValidatorServerUp(maxRetries = 10) {
     const url = this.validatorUrl;
-    console.log(`🔍 Checking if FHIR Validator Server is up at ${url}`);
-    const maxRetries = 10;
+    this.logger.debug(`🔍 Checking if FHIR Validator Server is up at ${url}`);
     let attempts = 0;
     
     while (attempts < maxRetries) {
       attempts++;
     
       try {
-        await new Promise((resolve, reject) => {
-          const req = http.get(url, (res) => {
-            if (res.statusCode === 200) {
-              res.resume(); // Consume response data
-              resolve(true);
-            } else {
-              reject(new Error(`Unexpected status code: ${res.statusCode}`));
-            }
-          });
-    
-          req.on('error', () => reject(new Error('Server not reachable')));
-          req.setTimeout(2000, () => {
-            req.destroy();
-            reject(new Error('Healthcheck timeout'));
-          });
-        });
-        console.log(`✅ FHIR Validator Server at ${url} is up!`);
+        await this.ping();
+        this.logger.debug(`✅ FHIR Validator Server at ${url} is up!`);
         return true; // ✅ Server is up
       } catch (error) {
-        console.log(`Attempt ${attempts} failed: ${error.message}`);
+        this.logger.debug(`Attempt ${attempts} failed: ${error.message}`);
         await new Promise(resolve => setTimeout(resolve, 1000)); // Wait before retrying
       }
     }
-    console.log(`ℹ️ FHIR Validator Server at ${url} is not responding after ${maxRetries} attempts.`);
+    this.logger.warn(`ℹ️ FHIR Validator Server at ${url} is not responding after ${maxRetries} attempts.`);
     return false; // ❌ Server is not responding after retries
   }
     
   /**
-     * Starts the Validator Server process using the provided Java executable and arguments.
+     * Starts the Validator Server process and begins supervising it, or attaches to the one at `url`.
      * @returns {Promise<void>} - Resolves when the server is ready.
      */
   async startValidator(maxRetries = 3) {
+    this.state = 'starting';
+    try {
+      if (this.isRemote) {
+        await this._attach();
+        this.state = 'ready';
+        this.readiness.resolve();
+        this.emit('ready', { pid: null, port: this.port });
+        return;
+      }
+      if (this.cliContext.conformanceResources.length) {
+        this.conformance = await writeConformanceResources(this.cliContext.conformanceResources);
+      }
+      this._useServer(await this._launch(maxRetries));
+    } catch (error) {
+      this.state = 'stopped';
+      await this.conformance?.remove();
+      this.conformance = null;
+      throw error;
+    }
+    this._markReady();
+    this._startHealthChecks();
+    this.emit('ready', { pid: this.pid, port: this.port });
+  }
+
+  /**
+     * Checks that the server at `url` is reachable and answers validation
+     * requests the way YAFVA.JAR does.
+     */
+  async _attach() {
+    const url = this.validatorUrl;
+    this.port = Number(new URL(url).port) || null;
+    this.logger.info(`🔗 Connecting to FHIR Validator Server at ${url}...`);
+    if (!(await this.isValidatorServerUp(3))) {
+      throw new Error(`FHIR Validator Server at ${url} is not reachable.`);
+    }
+
+    let response;
+    try {
+      response = await this.http.post(url + '/validate', JSON.stringify({ resourceType: 'Basic', code: { text: 'connection check' } }), {
+        headers: { 'Content-Type': 'application/fhir+json' },
+        params: { format: 'outcome' },
+        timeout: this.cliContext.requestTimeoutMs,
+      });
+    } catch (err) {
+      throw new Error(`FHIR Validator Server at ${url} did not accept a validation request: ${err.message}`, { cause: err });
+    }
+    if (!Array.isArray(response.data?.issues)) {
+      throw new Error(`Server at ${url} is not a compatible FHIR Validator Server: validation did not return an issues list.`);
+    }
+    this.logger.info(`✅ Connected to FHIR Validator Server at ${url}.`);
+  }
+
+  /**
+     * Spawns the Validator Server process using the provided Java executable and arguments.
+     * A process that exits during startup is retried on another port, within one
+     * `startupTimeoutMs` for all attempts.
+     * @param {number} [maxRetries=3]
+     * @param {object} [config] - What to start the server with
+     * @param {object} [config.options] - Defaults to the current options
+     * @param {{ dir: string }|null} [config.conformance] - Folder with the conformance resources
+     * @returns {Promise<{ process: import('child_process').ChildProcess, pid: number, port: number, url: string }>}
+     *   The server, once it answers HTTP requests. It is not in use until passed to _useServer().
+     * @throws {ValidatorStartupError} If no process became ready
+     */
+  async _launch(maxRetries = 3, { options = this.cliContext, conformance = this.conformance } = {}) {
+    const { startupTimeoutMs, port: requestedPort, host } = options;
+    const deadline = Date.now() + startupTimeoutMs;
+    // Only a port of our choosing can be swapped for another one
+    if (requestedPort !== undefined) maxRetries = 1;
+    let failure;
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      this.port = await getRandomAvailablePort();
-      this.validatorUrl = `http://localhost:${String(this.port)}`;
-      log(`🚀 [Attempt ${attempt}] Starting FHIR Validator Server on port ${this.port}...`);
-      log('ℹ️ All logs from the validator process will be reported here.');
+      let port = requestedPort;
+      if (port === undefined) {
+        port = await getRandomAvailablePort();
+      } else if (port !== 0 && await _isPortInUse(port)) {
+        throw new ValidatorStartupError(`Port ${port} is already in use.`, { reason: 'port-in-use', attempts: attempt - 1 });
+      }
+      // With port 0 the JVM picks one, and the URL is known once it reports it
+      const server = { process: null, pid: null, port: port || null, url: port ? toServerUrl(host, port) : null };
+      this.logger.info(`🚀 [Attempt ${attempt}] Starting FHIR Validator Server on ${port ? `port ${port}` : 'a port chosen by the JVM'}...`);
   
-      const igsArray = igsToArgArray(this.cliContext.igs);
+      const igsArray = igsToArgArray(conformance ? options.igs.concat(conformance.dir) : options.igs);
       const args = [
+        ...toJvmArgs(options),
         '-jar', jarPath,
-        `--server.port=${this.port}`,
-        this.cliContext?.txServer === null ? '--validator.tx-server=' : (this.cliContext?.txServer ? `--txServer=${this.cliContext.txServer}` : ''),
-        `--validator.sv=${this.cliContext.sv}`,
-        `--server.tomcat.threads.min-spare=${this.cliContext.threadsMin}`,
-        `--server.tomcat.threads.max=${this.cliContext.threadsMax}`
-      ].concat(igsArray);
+        `--server.port=${port}`,
+        host ? `--server.address=${host}` : '',
+        options.txServer === null ? '--validator.tx-server=' : (options.txServer ? `--txServer=${options.txServer}` : ''),
+        `--validator.sv=${options.sv}`,
+        `--server.tomcat.threads.min-spare=${options.threadsMin}`,
+        `--server.tomcat.threads.max=${options.threadsMax}`
+      ].concat(igsArray, toValidatorArgs(options)).filter(Boolean);
   
-      console.log(`🔧 javaExecutable: ${this.javaExecutable}`);
-      console.log(`🔧 Validator arguments: ${args.join(' ')}`);
-      this.process = spawn(this.javaExecutable, args, {
+      this.logger.debug(`🔧 javaExecutable: ${this.javaExecutable}`);
+      this.logger.debug(`🔧 Validator arguments: ${args.join(' ')}`);
+      const child = spawn(this.javaExecutable, args, {
         stdio: ['ignore', 'pipe', 'pipe']
       });
-  
-      let serverReady = false;
-      let exitedEarly = false;
-  
-      this.process.stdout.on('data', data => {
-        const message = data.toString().trim();
-        log(`[FHIR Validator] ${message}`);
-        if (message.includes(`Tomcat started on port ${this.port}`)) {
-          serverReady = true;
+      server.process = child;
+      this.launchingProcess = child;
+      // Never leave the JVM running after Node exits
+      const removeExitHook = addExitHook(() => child.kill('SIGKILL'));
+      child.once('exit', removeExitHook);
+      child.once('error', removeExitHook); // not spawned at all
+      if (requestedPort === undefined) {
+        const releasePort = () => reservedPorts.delete(port);
+        child.once('exit', releasePort);
+        child.once('error', releasePort);
+      }
+      if (!port) {
+        watchServerPort(child.stdout, reported => {
+          server.port = reported;
+          server.url = toServerUrl(host, reported);
+        });
+      }
+      // Reserved ports are only known to this Node process, so another process may
+      // take the port first. Its server may even answer the readiness probe.
+      let portConflict = false;
+      const onPortConflict = () => {
+        if (portConflict) return;
+        portConflict = true;
+        if (server.pid) {
+          this.logger.warn(`⚠️ FHIR Validator Server (PID: ${server.pid}) could not bind port ${port}: another process answered on it.`);
         }
-      });
-  
-      this.process.stderr.on('data', data => {
-        logError(`[FHIR Validator ERROR] ${data.toString().trim()}`);
-      });
+      };
+      watchPortConflict(child.stdout, onPortConflict);
+      watchPortConflict(child.stderr, onPortConflict);
   
-      this.process.on('exit', (code, signal) => {
-        if (!serverReady) exitedEarly = true;
-        logError(`⚠️ FHIR Validator process exited with code ${code}, signal ${signal}`);
-      });
-  
-      // Wait for the server to be ready or to fail
-      const waitResult = await new Promise(resolve => {
-        const interval = setInterval(() => {
-          if (serverReady) {
-            clearInterval(interval);
-            resolve('ready');
-          }
-          if (exitedEarly) {
-            clearInterval(interval);
-            resolve('exited');
-          }
-        }, 300);
+      const outputMeta = { pid: child.pid, port: server.port };
+      pipeProcessOutput(child.stdout, this.logger, { defaultLevel: 'debug', meta: outputMeta });
+      pipeProcessOutput(child.stderr, this.logger, { defaultLevel: 'warn', meta: outputMeta });
+      const stderrTail = captureTail(child.stderr);
+
+      child.on('exit', (code, signal) => {
+        const message = `FHIR Validator process exited with code ${code}, signal ${signal}`;
+        if (this.stoppedProcesses.has(child)) this.logger.debug(`ℹ️ ${message}`, { code, signal });
+        else this.logger.warn(`⚠️ ${message}`, { code, signal });
       });
-  
-      if (waitResult === 'ready') {
-        this.pid = this.process.pid;
-        log(`✅ FHIR Validator Server is ready. (PID: ${this.pid})`);
+
+      const outcome = await this._waitUntilReady(server, deadline);
+      this.launchingProcess = null;
+      if (outcome.status === 'ready') {
+        server.pid = child.pid;
+        this.logger.info(`✅ FHIR Validator Server is ready. (PID: ${server.pid})`);
+        return server;
+      }
+
+      if (outcome.status === 'timeout') {
+        this._kill(child, 'SIGKILL');
+        throw new ValidatorStartupError(`FHIR Validator Server did not become ready within ${startupTimeoutMs}ms.`, {
+          reason: 'timeout', attempts: attempt, stderr: stderrTail()
+        });
+      }
+
+      if (portConflict && requestedPort !== undefined) {
+        throw new ValidatorStartupError(`Port ${port} is already in use.`, { reason: 'port-in-use', attempts: attempt, stderr: stderrTail() });
+      }
+      failure = { attempts: attempt, exitCode: outcome.code, signal: outcome.signal, stderr: stderrTail(), cause: outcome.error };
+      this.logger.error(`❌ Attempt ${attempt} failed to start FHIR Validator on port ${server.port}${outcome.error ? `: ${outcome.error.message}` : portConflict ? ': the port was taken by another process' : ''}.`);
+      if (outcome.error) break; // e.g. the Java executable could not be run; another port won't help
+      if (attempt < maxRetries) await new Promise(r => setTimeout(r, 1000)); // short pause before retry
+    }
+
+    const why = failure.cause
+      ? failure.cause.message
+      : `the process exited with code ${failure.exitCode}${failure.signal ? `, signal ${failure.signal}` : ''}`;
+    throw new ValidatorStartupError(`Failed to start FHIR Validator: ${why}.`, {
+      reason: 'exited', ...failure
+    });
+  }
+
+  /**
+     * Probes the server over HTTP until it answers, the process exits, or the deadline passes.
+     * @returns {Promise<{ status: 'ready'|'exited'|'timeout', code?: number, signal?: string, error?: Error }>}
+     */
+  async _waitUntilReady(server, deadline) {
+    const child = server.process;
+    let exit = null;
+    const exited = new Promise(resolve => {
+      child.once('exit', (code, signal) => resolve(exit = { code, signal }));
+      child.once('error', error => resolve(exit = { code: null, signal: null, error }));
+    });
+
+    while (!exit) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return { status: 'timeout' };
+      // With port 0, there is nothing to probe until the JVM reports its port
+      const answered = server.url && await this.ping(Math.min(2000, remaining), server.url).then(() => true, () => false);
+      if (answered && !exit) return { status: 'ready' };
+      if (!answered) await waitFor(exited, Math.min(500, remaining));
+    }
+    return { status: 'exited', ...exit };
+  }
+
+  /**
+     * Makes a server returned by _launch() the one requests go to.
+     */
+  _useServer(server) {
+    this.process = server.process;
+    this.pid = server.pid;
+    this.port = server.port;
+    this.validatorUrl = server.url;
+  }
+
+  /**
+     * Opens the server to requests and watches the current process for an unexpected exit.
+     */
+  _markReady() {
+    const child = this.process;
+    child.once('exit', (code, signal) => {
+      if (child === this.process) this._handleCrash('exit', { code, signal });
+    });
+    this.state = 'ready';
+    this.readiness.resolve();
+  }
+
+  _startHealthChecks() {
+    if (this.healthTimer || !(this.cliContext.healthCheckIntervalMs > 0)) return;
+    let checking = false;
+    this.healthTimer = setInterval(async () => {
+      if (checking || this.state !== 'ready') return;
+      checking = true;
+      const child = this.process;
+      try {
+        if (!(await this.isValidatorServerUp(3)) && child === this.process && this.state === 'ready') {
+          this._handleCrash('unresponsive', { code: null, signal: null });
+          child.kill('SIGKILL');
+        }
+      } finally {
+        checking = false;
+      }
+    }, this.cliContext.healthCheckIntervalMs);
+    this.healthTimer.unref();
+  }
+
+  /**
+     * Holds new requests and restarts the server, unless `autoRestart` is off.
+     * @param {'exit'|'unresponsive'} reason
+     */
+  _handleCrash(reason, { code, signal }) {
+    if (this.state !== 'ready') return;
+    this.logger.error(`❌ FHIR Validator Server (PID: ${this.pid}) ${reason === 'exit' ? 'exited unexpectedly' : 'is not responding'}.`, { reason, code, signal });
+    this.readiness = createReadiness();
+    this.emit('crashed', { reason, pid: this.pid, code, signal });
+
+    if (!this.cliContext.autoRestart) {
+      this._fail(new Error(`FHIR Validator Server is down (${reason}) and autoRestart is disabled.`));
+      return;
+    }
+    this.state = 'restarting';
+    this._restart();
+  }
+
+  async _restart() {
+    const { restartDelayMs, maxRestartDelayMs, maxRestartAttempts } = this.cliContext;
+    for (let attempt = 1; attempt <= maxRestartAttempts; attempt++) {
+      const delay = Math.min(restartDelayMs * 2 ** (attempt - 1), maxRestartDelayMs);
+      this.logger.info(`🔄 Restarting FHIR Validator Server in ${delay}ms (attempt ${attempt}/${maxRestartAttempts})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      if (this.state !== 'restarting') return; // shut down meanwhile
+
+      let server;
+      try {
+        server = await this._launch();
+      } catch (error) {
+        this.logger.warn(`⚠️ Restart attempt ${attempt} failed: ${error.message}`);
+        continue;
+      }
+      if (this.state !== 'restarting') {
+        this._kill(server.process, 'SIGINT');
         return;
-      } else {
-        logError(`❌ Attempt ${attempt} failed to start FHIR Validator on port ${this.port}.`);
-        if (this.process && !this.process.killed) this.process.kill('SIGINT');
-        await new Promise(r => setTimeout(r, 1000)); // short pause before retry
       }
+      this._useServer(server);
+      this._markReady();
+      this.emit('restarted', { pid: this.pid, port: this.port, attempts: attempt });
+      this.emit('ready', { pid: this.pid, port: this.port });
+      return;
     }
-  
-    throw new Error(`Failed to start FHIR Validator after ${maxRetries} attempts. All candidate ports may be unavailable.`);
+    this._fail(new Error(`Failed to restart FHIR Validator Server after ${maxRestartAttempts} attempts.`));
+  }
+
+  _fail(error) {
+    this.state = 'failed';
+    this.logger.error(`❌ ${error.message}`);
+    this.readiness.reject(error);
+    // An 'error' event without listeners would throw
+    if (this.listenerCount('error')) this.emit('error', error);
+  }
+
+  /**
+     * True when a request sent to `child` may have failed because the server went
+     * down, rather than because of the request itself.
+     */
+  _isServerLost(child) {
+    // While shutting down, the server is not coming back
+    if (this.isRemote || this.state === 'stopping') return false;
+    return child !== this.process || this.state !== 'ready' || child.exitCode !== null || child.signalCode !== null;
   }
   
 
-  async validate(resource, profiles = []) {
+  /**
+     * Validates one resource or an array of resources.
+     * @param {object|string|Buffer|Array} resource - FHIR resource(s) to validate: objects, or JSON/XML
+     *   as a string or Buffer
+     * @param {string|string[]} [profiles] - Canonical URLs of profiles to validate against
+     * @param {object} [options]
+     * @param {'json'|'xml'} [options.format] - Format of string/Buffer resources, auto-detected if omitted
+     * @param {'result'|'raw'|'operationOutcome'} [options.output='result'] - `raw` returns the yafva.jar
+     *   payload untouched, `operationOutcome` a FHIR OperationOutcome resource
+     * @param {boolean} [options.includeLineCol=true] - With `operationOutcome`, add the issue-line/issue-col extensions
+     * @param {number} [options.timeoutMs] - Timeout per HTTP attempt, defaults to `requestTimeoutMs` (0 = none)
+     * @param {boolean} [options.settle=false] - Instead of rejecting when any resource fails, return a
+     *   `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }` record per resource, like
+     *   `Promise.allSettled()`. `reason` is a ValidatorRequestError.
+     * @param {boolean} [options.cache=true] - With the `cache` option set, false skips the cache for this call
+     * @returns {Promise<ValidationResult|object|Array>} One result per resource, in input order
+     */
+  async validate(resource, profiles = [], options = {}) {
+    if (this.closed) {
+      throw new Error('FHIR Validator has been shut down.');
+    }
+    const { output = 'result', includeLineCol, format, timeoutMs = this.cliContext.requestTimeoutMs, settle = false, cache = true } = options;
+    const formatOutput = {
+      result: payload => new ValidationResult(payload),
+      raw: payload => payload,
+      operationOutcome: payload => toOperationOutcome(payload, { includeLineCol })
+    }[output];
+    if (!formatOutput) {
+      throw new Error(`Invalid output "${output}". Expected one of: result, raw, operationOutcome.`);
+    }
     const isArray = Array.isArray(resource);
     if (!isArray) resource = [resource];
     if (!Array.isArray(profiles)) profiles = [profiles];
   
-    const validateWithRetry = async (entry, retries = 3) => {
+    const validateWithRetry = async (entry) => {
+      let payload;
+      try {
+        payload = toRequestPayload(entry, format);
+      } catch (err) {
+        throw new ValidatorRequestError(`Resource could not be sent to the validator: ${err.message}`, { attempts: 0, cause: err });
+      }
+      if (!this.cache || !cache) return sendWithRetry(payload);
+      const key = this.cache.keyFor(this.cacheScope, payload.body, profiles, payload.format);
+      return this.cache.run(key, () => sendWithRetry(payload));
+    };
+
+    const sendWithRetry = async (payload, retries = 3) => {
+      let resends = 0;
       for (let attempt = 1; attempt <= retries; attempt++) {
+        // Wait out a restart; rejects if the server could not be brought back
+        await this.readiness.promise.catch(err => {
+          throw new ValidatorRequestError(`Validator is not available: ${err.message}`, { attempts: attempt - 1, cause: err });
+        });
+        const child = this.process;
         try {
-          const response = await axios.post(this.validatorUrl + '/validate', entry, {
-            headers: { 'Content-Type': 'application/fhir+json' },
+          // Each attempt waits for a free slot, so at most `concurrency` requests hit the JVM at once
+          const response = await this.queue.run(() => this.http.post(this.validatorUrl + '/validate', payload.body, {
+            headers: { 'Content-Type': payload.contentType },
             params: {
               format: 'outcome',
               profiles: profiles.length ? profiles.join(',') : undefined,
             },
-          });
+            timeout: timeoutMs,
+          }));
           return response.data;
         } catch (err) {
+          // Lost with the server: re-send once it's back, without using up an attempt.
+          // Bounded, in case this very request is what brings the server down.
+          if (this._isServerLost(child) && resends < retries) {
+            resends++;
+            attempt--;
+            continue;
+          }
           if (attempt === retries) {
-            logError(`❌ Validator failed after ${retries} attempts: ${err.message}`);
-            throw new Error(`Validator failed for a resource after ${retries} attempts.`);
+            this.logger.error(`❌ Validator failed after ${retries} attempts: ${err.message}`);
+            throw new ValidatorRequestError(`Validator failed for a resource after ${retries} attempts.`, { attempts: retries, cause: err });
           }
           // wait a bit before retrying (basic backoff)
           await new Promise(r => setTimeout(r, 50 * (attempt ** 2)));
@@ -231,25 +687,194 @@ class FHIRValidator {
       }
     };
   
-    const tasks = resource.map(entry => validateWithRetry(entry));
+    const tasks = resource.map(entry => {
+      const task = validateWithRetry(entry);
+      const tracked = task.catch(() => {}).finally(() => this.activeValidations.delete(tracked));
+      this.activeValidations.add(tracked);
+      return task;
+    });
+
+    if (settle) {
+      const settled = (await Promise.allSettled(tasks)).map(outcome => outcome.status === 'fulfilled'
+        ? { status: 'fulfilled', value: formatOutput(outcome.value) }
+        : outcome);
+      return isArray ? settled : settled[0];
+    }
   
     try {
-      const outcomes = await Promise.all(tasks);
+      const payloads = await Promise.all(tasks);
+      const outcomes = payloads.map(formatOutput);
       return isArray ? outcomes : outcomes[0];
     } catch (error) {
-      throw new Error(`Fatal FHIR Validator error: at least one resource failed validation after retries. Error: ${error.message}`);
+      throw new Error(`Fatal FHIR Validator error: at least one resource failed validation after retries. Error: ${error.message}`, { cause: error });
     }
   };  
 
-  shutdown() {
-    this.process.on('exit', () => {
-      log('🛑 FHIR Validator process killed.');
-    });
-    log('🛑 Killing FHIR Validator process...');   
-    this.process?.kill('SIGINT'); // Send SIGINT to the process ;
+  /**
+     * Validates a Bundle and maps its issues to the entries they belong to.
+     * @param {object|string|Buffer} bundle - JSON Bundle, as an object or serialized
+     * @param {object} [options]
+     * @param {string|string[]} [options.profiles] - Profiles for the Bundle itself
+     * @param {Object<string, string|string[]>} [options.entryProfiles] - Profiles per entry resourceType,
+     *   e.g. `{ Patient: ['http://example.org/StructureDefinition/my-patient'] }`
+     * @param {boolean} [options.validateEntries] - Also validate each entry resource on its own.
+     *   Implied by `entryProfiles`.
+     * @returns {Promise<BundleValidationResult>}
+     */
+  async validateBundle(bundle, { profiles = [], entryProfiles, validateEntries = Boolean(entryProfiles) } = {}) {
+    const parsed = parseBundle(bundle);
+
+    const bundleValidation = this.validate(bundle, profiles);
+    const standaloneValidations = validateEntries
+      ? (parsed.entry ?? []).map(entry => entry.resource
+        ? this.validate(entry.resource, entryProfiles?.[entry.resource.resourceType] ?? [])
+        : null)
+      : [];
+
+    const [result, ...standaloneResults] = await Promise.all([bundleValidation, ...standaloneValidations]);
+    return new BundleValidationResult(parsed, result, standaloneResults);
+  }
+
+  /**
+     * Validates NDJSON from a file or stream with bounded concurrency,
+     * yielding one record per line. See validateNdjson().
+     * @param {string|import('stream').Readable} source - NDJSON file path or readable stream
+     * @param {object} [options]
+     * @param {string|string[]} [options.profiles] - Profiles to validate every resource against
+     * @param {number} [options.concurrency] - Lines validated at once, defaults to `concurrency`
+     * @returns {AsyncGenerator<object> & { summary: Promise<object> }}
+     */
+  validateStream(source, options) {
+    return validateNdjson(this, source, options);
+  }
+
+  /**
+     * Loads a new set of IGs and conformance resources without downtime. A new
+     * Validator Server is started with them and takes over once it is ready;
+     * the old one is stopped when the validations sent to it have finished.
+     * Call it without arguments to pick up changes to local IG files. Results
+     * cached under the old IGs are no longer returned.
+     * @param {object} [changes]
+     * @param {string[]} [changes.igs] - Replaces `igs`
+     * @param {object[]} [changes.conformanceResources] - Replaces `conformanceResources`
+     * @param {number} [changes.timeoutMs=30000] - How long validations on the old server may take to finish.
+     *   Validations cut off after that are re-sent to the new server.
+     * @returns {Promise<void>} - Resolves once the new server is in use.
+     */
+  async reloadIgs({ igs = this.cliContext.igs, conformanceResources = this.cliContext.conformanceResources, timeoutMs = 30000 } = {}) {
+    if (this.isRemote) {
+      throw new Error('The IGs of a server attached by url cannot be reloaded.');
+    }
+    if (this.state !== 'ready' || this.reloading) {
+      throw new Error(`Cannot reload IGs while the validator is ${this.reloading ? 'reloading' : this.state}.`);
+    }
+    const options = normalizeOptions({ ...this.cliContext, igs, conformanceResources });
+
+    this.reloading = true;
+    let conformance = null;
+    try {
+      if (options.conformanceResources.length) {
+        conformance = await writeConformanceResources(options.conformanceResources);
+      }
+      this.logger.info('🔄 Reloading IGs on a new FHIR Validator Server...');
+      const server = await this._launch(3, { options, conformance });
+      if (this.state !== 'ready') {
+        // Crashed or shut down meanwhile
+        this._kill(server.process, 'SIGINT');
+        throw new Error(`IG reload aborted: the validator is ${this.state}.`);
+      }
+
+      const previous = { process: this.process, conformance: this.conformance, validations: [...this.activeValidations] };
+      this.cliContext = options;
+      this.conformance = conformance;
+      conformance = null;
+      // Switched together with the server, so that no result is cached under the wrong IGs
+      if (this.cache) this.cacheScope = cacheScope(options);
+      this._useServer(server);
+      this._markReady();
+      this.emit('reloaded', { pid: this.pid, port: this.port });
+      this.logger.info(`✅ IGs reloaded. (PID: ${this.pid})`);
+
+      await waitFor(Promise.all(previous.validations), timeoutMs);
+      await this._stopProcess(previous.process, 10000);
+      await previous.conformance?.remove();
+    } finally {
+      this.reloading = false;
+      await conformance?.remove(); // not taken into use
+    }
+  }
+
+  /**
+     * Stops accepting validations, waits for those in flight, then stops the
+     * Validator Server process: SIGINT first, SIGKILL if it doesn't exit in time.
+     * A server attached by `url` is left running.
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs=30000] - Time for the whole shutdown. In-flight validations may
+     *   use all of it; the process gets what is left to exit before being killed.
+     * @returns {Promise<void>} - Resolves once the process has exited. Repeated calls return the same promise.
+     */
+  shutdown({ timeoutMs = 30000 } = {}) {
+    if (!this.shutdownPromise) this.shutdownPromise = this._shutdown(timeoutMs);
+    return this.shutdownPromise;
+  }
+
+  async _shutdown(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    const stopped = new Error('FHIR Validator has been shut down.');
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    // Requests waiting for a (re)start would never get a server
+    if (this.state !== 'ready') this.readiness.reject(stopped);
+    this.state = 'stopping';
+
+    if (this.activeValidations.size) {
+      this.logger.info(`⏳ Waiting for ${this.activeValidations.size} in-flight validations to finish...`);
+      const drained = await waitFor(Promise.all([...this.activeValidations]), deadline - Date.now());
+      if (!drained) this.logger.warn(`⚠️ ${this.activeValidations.size} validations still running after ${timeoutMs}ms, stopping anyway.`);
+    }
+
+    this.state = 'stopped';
+    this.readiness.reject(stopped);
+    this.readiness = createReadiness();
+    this.readiness.reject(stopped);
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+    if (this.isRemote) {
+      // Not ours to stop
+      this.logger.info(`🔌 Disconnected from FHIR Validator Server at ${this.validatorUrl}.`);
+      return;
+    }
+    // A server still starting (e.g. for a reload) is stopped as well
+    await Promise.all([this.process, this.launchingProcess].map(child => this._stopProcess(child, deadline - Date.now())));
+    await this.conformance?.remove();
+    this.conformance = null;
+  }
+
+  /**
+     * Sends a signal to a process that is being stopped on purpose.
+     */
+  _kill(child, signal) {
+    this.stoppedProcesses.add(child);
+    child.kill(signal);
+  }
+
+  /**
+     * Sends SIGINT and waits for the process to exit, escalating to SIGKILL after `timeoutMs`.
+     */
+  async _stopProcess(child, timeoutMs) {
+    if (!child || child.exitCode !== null || child.signalCode !== null) return;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    this.logger.info('🛑 Stopping FHIR Validator process...');
+    this._kill(child, 'SIGINT');
+    if (!(await waitFor(exited, timeoutMs))) {
+      this.logger.warn(`⚠️ FHIR Validator process (PID: ${child.pid}) did not exit in time, killing it.`);
+      this._kill(child, 'SIGKILL');
+      await exited;
+    }
+    this.logger.info('🛑 FHIR Validator process stopped.');
   }
-    
-    
 }
 
 export default FHIRValidator;
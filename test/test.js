@@ -241,7 +241,6 @@ const expectedResult2 = {
   const validator2 = await createValidatorInstance({
     sv: '4.0.1',
     igs: [],
-    validatorUrl: 'http://localhost:3500',
   });
 
   const resource = {
@@ -0,0 +1,501 @@
+import { ValidationResult, BundleValidationResult, toOperationOutcome, createValidationServer, createValidatorInstance } from '../src/index.js';
+import { captureTail, parseServerPort, parseLogLine, pipeProcessOutput } from '../src/process-log.js';
+import { createLogger } from '../src/logger.js';
+import { parseJavaMajorVersion } from '../src/java.js';
+import { normalizeOptions } from '../src/options.js';
+import { formatReport, toRecords } from '../src/reporters/index.js';
+import { globToRegExp } from '../src/files.js';
+import { MemoryCacheStore, ResultCache } from '../src/cache.js';
+import { extractArchive, getJreSources, getYafvaJarSources } from '../src/utils.js';
+import { validateNdjson } from '../src/stream.js';
+import RequestQueue from '../src/queue.js';
+import { detectFormat, toRequestPayload } from '../src/payload.js';
+import { PassThrough } from 'stream';
+import { spawnSync } from 'child_process';
+import { URL } from 'url';
+import { Buffer } from 'buffer';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { c as createTar } from 'tar';
+import deepDiffPkg from 'deep-diff';
+
+const { diff: deepDiff } = deepDiffPkg;
+
+// Unit checks for the modules that don't need a running validator
+
+const rawResult = {
+  'issues': [
+    {
+      'source': 'InstanceValidator',
+      'line': 1,
+      'col': 79,
+      'location': 'Patient.name[0]',
+      'message': 'This element does not match any known slice defined in the profile http://fhir.health.gov.il/StructureDefinition/il-core-patient|0.16.0',
+      'messageId': 'Details_for__matching_against_Profile_',
+      'type': 'INFORMATIONAL',
+      'level': 'INFORMATION'
+    },
+    {
+      'source': 'InstanceValidator',
+      'line': 1,
+      'col': 81,
+      'location': 'Patient',
+      'message': 'Patient.identifier: minimum required = 1, but only found 0 (from http://fhir.health.gov.il/StructureDefinition/il-core-patient|0.16.0)',
+      'messageId': 'Validation_VAL_Profile_Minimum',
+      'type': 'STRUCTURE',
+      'level': 'ERROR'
+    },
+    {
+      'source': 'InstanceValidator',
+      'line': 1,
+      'col': 81,
+      'location': 'Patient',
+      'message': 'Constraint failed: dom-6: \'A resource should have narrative for robust management\' (defined in http://hl7.org/fhir/StructureDefinition/DomainResource) (Best Practice Recommendation)',
+      'messageId': 'http://hl7.org/fhir/StructureDefinition/DomainResource#dom-6',
+      'type': 'INVARIANT',
+      'level': 'WARNING'
+    }
+  ]
+};
+
+let failures = 0;
+
+function check(name, actual, expected) {
+  const differences = deepDiff(actual, expected);
+  if (!differences) {
+    console.log(`✅ ${name}`);
+  } else {
+    console.error(`❌ ${name}`);
+    console.error('🔍 Differences:', JSON.stringify(differences, null, 2));
+    failures++;
+  }
+}
+
+const result = new ValidationResult(rawResult);
+
+check('ValidationResult: isValid', result.isValid, false);
+check('ValidationResult: counts', result.counts, { fatal: 0, error: 1, warning: 1, information: 1 });
+check('ValidationResult: errors', result.errors, [rawResult.issues[1]]);
+check('ValidationResult: warnings', result.warnings, [rawResult.issues[2]]);
+check('ValidationResult: information', result.information, [rawResult.issues[0]]);
+check('ValidationResult: filter by location includes children', result.filter({ location: 'Patient.name' }), [rawResult.issues[0]]);
+check('ValidationResult: filter by messageId', result.filter({ messageId: /dom-6$/ }), [rawResult.issues[2]]);
+check('ValidationResult: filter by level and location', result.filter({ level: ['ERROR', 'WARNING'], location: 'Patient' }), rawResult.issues.slice(1));
+check('ValidationResult: serializes to the raw payload', JSON.parse(JSON.stringify(result)), rawResult);
+check('ValidationResult: valid without errors', new ValidationResult({ issues: [rawResult.issues[2]] }).isValid, true);
+
+check('toOperationOutcome: maps issues', result.toOperationOutcome(), {
+  resourceType: 'OperationOutcome',
+  issue: [
+    {
+      extension: [
+        { url: 'http://hl7.org/fhir/StructureDefinition/operationoutcome-issue-line', valueInteger: 1 },
+        { url: 'http://hl7.org/fhir/StructureDefinition/operationoutcome-issue-col', valueInteger: 79 }
+      ],
+      severity: 'information',
+      code: 'informational',
+      diagnostics: rawResult.issues[0].message,
+      location: ['Patient.name[0]'],
+      expression: ['Patient.name[0]']
+    },
+    {
+      extension: [
+        { url: 'http://hl7.org/fhir/StructureDefinition/operationoutcome-issue-line', valueInteger: 1 },
+        { url: 'http://hl7.org/fhir/StructureDefinition/operationoutcome-issue-col', valueInteger: 81 }
+      ],
+      severity: 'error',
+      code: 'structure',
+      diagnostics: rawResult.issues[1].message,
+      location: ['Patient'],
+      expression: ['Patient']
+    },
+    {
+      extension: [
+        { url: 'http://hl7.org/fhir/StructureDefinition/operationoutcome-issue-line', valueInteger: 1 },
+        { url: 'http://hl7.org/fhir/StructureDefinition/operationoutcome-issue-col', valueInteger: 81 }
+      ],
+      severity: 'warning',
+      code: 'invariant',
+      diagnostics: rawResult.issues[2].message,
+      location: ['Patient'],
+      expression: ['Patient']
+    }
+  ]
+});
+check('toOperationOutcome: hyphenated issue codes and no line/col', toOperationOutcome({ issues: [{ level: 'FATAL', type: 'CODEINVALID', line: 3, col: 4 }] }, { includeLineCol: false }), {
+  resourceType: 'OperationOutcome',
+  issue: [{ severity: 'fatal', code: 'code-invalid' }]
+});
+check('toOperationOutcome: empty result is All OK', toOperationOutcome({ issues: [] }), {
+  resourceType: 'OperationOutcome',
+  issue: [{ severity: 'information', code: 'informational', diagnostics: 'All OK' }]
+});
+
+const bundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { fullUrl: 'urn:uuid:1', resource: { resourceType: 'Patient' } },
+    { fullUrl: 'urn:uuid:2', resource: { resourceType: 'Organization' } }
+  ]
+};
+const bundleIssues = [
+  { location: 'Bundle', level: 'WARNING', message: 'bundle-level' },
+  { location: 'Bundle.entry[1].resource.name', level: 'ERROR', message: 'entry 1' },
+  { location: 'Bundle.entry[0].resource', level: 'INFORMATION', message: 'entry 0' }
+];
+const bundleResult = new BundleValidationResult(bundle, new ValidationResult({ issues: bundleIssues }), [
+  new ValidationResult({ issues: [] }),
+  null
+]);
+
+check('BundleValidationResult: bundle-level issues', bundleResult.bundle.issues, [bundleIssues[0]]);
+check('BundleValidationResult: issues grouped per entry', bundleResult.entries.map(entry => entry.result.issues), [[bundleIssues[2]], [bundleIssues[1]]]);
+check('BundleValidationResult: entry lookup by fullUrl', bundleResult.getEntry('urn:uuid:2').index, 1);
+check('BundleValidationResult: invalid entries', bundleResult.invalidEntries.map(entry => entry.fullUrl), ['urn:uuid:2']);
+check('BundleValidationResult: isValid', bundleResult.isValid, false);
+
+check('parseJavaMajorVersion: modern and legacy formats', [
+  'openjdk version "21.0.5" 2024-10-15',
+  'java version "1.8.0_371"',
+  'openjdk version "17-ea" 2021-09-14',
+  'no version here'
+].map(parseJavaMajorVersion), [21, 8, 17, null]);
+
+check('parseLogLine: Spring Boot line', parseLogLine('2025-04-10T10:00:00.123+03:00  WARN 12345 --- [yafva] [main] o.h.f.v.Validator : Slow terminology server', 'debug'), {
+  level: 'warn', message: 'Slow terminology server', meta: { timestamp: '2025-04-10T10:00:00.123+03:00', logger: 'o.h.f.v.Validator' }
+});
+check('parseLogLine: other lines take the fallback level', parseLogLine('Picked up JAVA_TOOL_OPTIONS', 'warn'), { level: 'warn', message: 'Picked up JAVA_TOOL_OPTIONS', meta: {} });
+
+const pipedRecords = [];
+const pipeLogger = Object.fromEntries(['error', 'warn', 'info', 'debug'].map(level => [level, (message, meta) => pipedRecords.push({ level, message, pid: meta.pid })]));
+const stdout = new PassThrough();
+pipeProcessOutput(stdout, pipeLogger, { defaultLevel: 'debug', meta: { pid: 7 } });
+stdout.write('2025-04-10T10:00:00.123+03:00 ERROR 12345 --- [yafva] [main] o.s.b.SpringApplication : Application run failed\n');
+stdout.write('\tat org.example.Main.run(Main.java:10)\nCaused by: java.io.IOException: disk\n\t... 3 more\nplain line');
+stdout.end();
+await new Promise(resolve => stdout.once('end', resolve));
+check('pipeProcessOutput: stack traces keep the level of their record', pipedRecords, [
+  { level: 'error', message: 'Application run failed', pid: 7 },
+  { level: 'error', message: '\tat org.example.Main.run(Main.java:10)', pid: 7 },
+  { level: 'error', message: 'Caused by: java.io.IOException: disk', pid: 7 },
+  { level: 'error', message: '\t... 3 more', pid: 7 },
+  { level: 'debug', message: 'plain line', pid: 7 }
+]);
+
+const loggedCalls = [];
+const pinoLike = {
+  bindings: () => ({}),
+  ...Object.fromEntries(['error', 'warn', 'info', 'debug'].map(level => [level, (...args) => loggedCalls.push([level, ...args])]))
+};
+const pinoLogger = createLogger({ logger: pinoLike, level: 'warn' });
+pinoLogger.error('failed', { pid: 1 });
+pinoLogger.warn('slow');
+pinoLogger.info('not shown');
+pinoLogger.debug('not shown either', { pid: 1 });
+check('createLogger: pino gets (meta, message), below the level is dropped', loggedCalls, [['error', { pid: 1 }, 'failed'], ['warn', 'slow']]);
+const consoleCalls = [];
+createLogger({ logger: { log: (...args) => consoleCalls.push(args) }, level: 'debug' }).debug('message', { pid: 1 });
+check('createLogger: (message, meta) and a missing method falls back to log', consoleCalls, [['message', { pid: 1 }]]);
+
+const stderr = new PassThrough();
+const stderrTail = captureTail(stderr, 2);
+stderr.write('first line\nsecond ');
+stderr.write('line\n\nthird line\nunterminated');
+
+check('captureTail: keeps the last lines, joining chunks', stderrTail(), 'third line\nunterminated');
+check('parseServerPort: Spring Boot 3 startup line', parseServerPort('2025-04-10T10:00:00.123+03:00  INFO 12345 --- [yafva] [main] o.s.b.w.e.tomcat.TomcatWebServer : Tomcat started on port 41234 (http) with context path \'/\''), 41234);
+check('parseServerPort: Spring Boot 2 startup line', parseServerPort('Tomcat started on port(s): 8080 (http) with context path \'\''), 8080);
+check('parseServerPort: other lines', parseServerPort('Tomcat initialized with port 8080 (http)'), null);
+
+const optionProblems = (options) => {
+  try {
+    normalizeOptions(options);
+    return [];
+  } catch (error) {
+    return error.problems;
+  }
+};
+
+check('normalizeOptions: defaults derived from threadsMin', (({ threadsMax, concurrency }) => ({ threadsMax, concurrency }))(normalizeOptions({ threadsMin: 2 })), { threadsMax: 6, concurrency: 6 });
+check('normalizeOptions: "none" means no txServer', normalizeOptions({ txServer: 'none' }).txServer, null);
+check('normalizeOptions: unknown keys are rejected', optionProblems({ validatorUrl: 'http://localhost:3500', threadMax: 4 }), [
+  'Unknown option "validatorUrl". Did you mean "url"?',
+  'Unknown option "threadMax". Did you mean "threadsMax"?'
+]);
+check('normalizeOptions: invalid values are rejected', optionProblems({ igs: 'il.core.fhir.r4#0.16.2', bestPracticeLevel: 'warn' }), [
+  'Invalid igs "il.core.fhir.r4#0.16.2". Expected an array of non-empty strings.',
+  'Invalid bestPracticeLevel "warn". Expected one of: ignore, hint, warning, error.'
+]);
+check('normalizeOptions: missing local IG paths are rejected', optionProblems({ igs: ['il.core.fhir.r4#0.16.2', './no-such-ig/package.tgz'] }), [
+  'IG "./no-such-ig/package.tgz" looks like a local path, but doesn\'t exist.'
+]);
+
+const reportRecords = [
+  { file: 'a.json', resourceType: 'Patient', id: '1', result: new ValidationResult({ issues: [] }), error: null },
+  { file: 'b.json', resourceType: 'Patient', id: '2', result: new ValidationResult({ issues: [{ level: 'ERROR', line: 1, col: 5, location: 'Patient', message: 'a < b' }] }), error: null },
+  { file: 'c.json', resourceType: null, id: null, result: null, error: new Error('Could not read c.json') }
+];
+
+check('formatReport: text summary line', formatReport(reportRecords, 'text').trim().split('\n').pop(), '3 resources: 1 valid, 1 invalid, 1 failed. 1 error, 0 warnings, 0 information.');
+check('formatReport: json summary', JSON.parse(formatReport(reportRecords, 'json')).summary, { total: 3, valid: 1, invalid: 1, failed: 1, counts: { fatal: 0, error: 1, warning: 0, information: 0 } });
+check('formatReport: junit failures and errors', formatReport(reportRecords, 'junit').match(/<(failure|error) message="[^"]*"/g), ['<failure message="1 error"', '<error message="Could not read c.json"']);
+check('formatReport: junit file and line of the first error', formatReport(reportRecords, 'junit').match(/<testcase [^>]*name="Patient\/2"[^>]*>/)[0].match(/(file|line)="[^"]*"/g), ['file="b.json"', 'line="1"']);
+check('formatReport: junit drops control characters', formatReport([{ resourceType: null, id: null, result: null, error: new Error(`bad${String.fromCharCode(0, 7)}\tbyte`) }], 'junit').match(/<error message="[^"]*"/)[0], '<error message="bad\tbyte"');
+const sarifRun = JSON.parse(formatReport(reportRecords, 'sarif', { baseDir: '/repo' })).runs[0];
+check('formatReport: sarif results located by file, line and column', sarifRun.results.map(({ level, locations }) => ({ level, ...locations[0].physicalLocation })), [
+  { level: 'error', artifactLocation: { uri: 'b.json' }, region: { startLine: 1, startColumn: 5 } }
+]);
+check('formatReport: sarif notification for a resource that could not be validated', sarifRun.invocations[0].toolExecutionNotifications.map(notification => notification.message.text), ['unknown resource could not be validated: Could not read c.json']);
+check('formatReport: sarif result without a message', JSON.parse(formatReport([
+  { resourceType: 'Patient', id: '3', result: new ValidationResult({ issues: [{ level: 'ERROR', messageId: 'Some_Rule' }, { level: 'WARNING' }] }), error: null }
+], 'sarif')).runs[0].results.map(result => result.message.text), ['Some_Rule', 'Validation issue']);
+const htmlRecords = toRecords(['{\n  "resourceType": "Patient",\n  "gender": "bogus"\n}'], [new ValidationResult({ issues: [
+  { level: 'ERROR', line: 3, col: 13, location: 'Patient.gender', message: 'Unknown code', html: 'Unknown code <b>bogus</b> <img src=x onerror=alert(1)>' }
+] })]);
+const htmlReport = formatReport(htmlRecords, 'html');
+check('toRecords: resource type from serialized JSON', htmlRecords.map(({ resourceType, id }) => ({ resourceType, id })), [{ resourceType: 'Patient', id: null }]);
+check('formatReport: html keeps plain validator markup only', htmlReport.match(/<div class="message">(.*?)<\/div>/)[1], 'Unknown code <b>bogus</b> &lt;img src=x onerror=alert(1)&gt;');
+check('formatReport: html marks the token at the issue column', htmlReport.match(/<mark>(.*?)<\/mark>/)[1], '&quot;bogus&quot;');
+check('globToRegExp: **, * and {a,b}', ['x.json', 'a/b/x.xml', 'a/x.txt', 'a/.json/x'].filter(file => globToRegExp('**/*.{json,xml}').test(file)), ['x.json', 'a/b/x.xml']);
+
+const lruStore = new MemoryCacheStore({ maxEntries: 2 });
+lruStore.set('a', '1');
+lruStore.set('b', '2');
+lruStore.get('a');
+lruStore.set('c', '3');
+check('MemoryCacheStore: least recently used entry evicted', ['a', 'b', 'c'].map(key => lruStore.get(key)), ['1', undefined, '3']);
+const ttlStore = new MemoryCacheStore({ ttlMs: 1 });
+ttlStore.set('a', '1');
+await new Promise(resolve => setTimeout(resolve, 5));
+check('MemoryCacheStore: expired entry', ttlStore.get('a'), undefined);
+
+const resultCache = new ResultCache(new MemoryCacheStore(), { warn: () => {} });
+check('ResultCache: key ignores object key order and profile order',
+  resultCache.keyFor('scope', { resourceType: 'Patient', id: '1' }, ['p1', 'p2'], 'json'),
+  resultCache.keyFor('scope', { id: '1', resourceType: 'Patient' }, ['p2', 'p1'], 'json'));
+check('ResultCache: key depends on the scope',
+  resultCache.keyFor('scope', { resourceType: 'Patient' }, [], 'json') === resultCache.keyFor('other scope', { resourceType: 'Patient' }, [], 'json'),
+  false);
+let cacheMissCalls = 0;
+const cachedPayloads = await Promise.all([1, 2, 3].map(() => resultCache.run('key', async () => ({ issues: [{ call: ++cacheMissCalls }] }))));
+check('ResultCache: identical validations in flight run once', { calls: cacheMissCalls, hits: resultCache.hits, misses: resultCache.misses, payloads: cachedPayloads }, {
+  calls: 1, hits: 2, misses: 1, payloads: [{ issues: [{ call: 1 }] }, { issues: [{ call: 1 }] }, { issues: [{ call: 1 }] }]
+});
+check('normalizeOptions: file cache needs a dir', optionProblems({ cache: { store: 'file' } }), [
+  'Invalid cache an object. Expected true, a cache store, or { store, maxEntries, ttlMs, dir }.'
+]);
+
+const archiveDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fhir-validator-unit-'));
+await fs.outputFile(path.join(archiveDir, 'src', 'jdk-21', 'bin', 'java'), 'java');
+await createTar({ gzip: true, file: path.join(archiveDir, 'jre.tar.gz'), cwd: path.join(archiveDir, 'src') }, ['jdk-21']);
+await fs.ensureDir(path.join(archiveDir, 'out'));
+await extractArchive(path.join(archiveDir, 'jre.tar.gz'), path.join(archiveDir, 'out'));
+check('extractArchive: .tar.gz', await fs.readFile(path.join(archiveDir, 'out', 'jdk-21', 'bin', 'java'), 'utf8'), 'java');
+await fs.remove(archiveDir);
+
+check('getJreSources: HTTP mirror archive for a pinned version needs a pinned sha256', [
+  getJreSources({ mirror: 'https://mirror.example', jreVersion: '21.0.5+11' }, 'linux', 'x64'),
+  getJreSources({ mirror: 'https://mirror.example', jreVersion: '21.0.5+11', jreSha256: { x64_mac: 'abc' } }, 'linux', 'x64'),
+  getJreSources({ mirror: 'https://mirror.example', jreVersion: '21.0.5+11', jreSha256: { x64_linux: 'abc' } }, 'linux', 'x64'),
+  getJreSources({ mirror: 'https://mirror.example' }, 'linux', 'x64')
+], [
+  [],
+  [],
+  [{ location: 'https://mirror.example/jre_x64_linux.tar.gz', version: '21.0.5+11' }],
+  [{ location: 'https://mirror.example/jre_x64_linux.tar.gz', version: null }]
+]);
+check('getYafvaJarSources: pinned version only from its own jar', getYafvaJarSources({ mirror: '/mirror', yafvaVersion: '3.0' }), [
+  { location: path.join('/mirror', 'yafva-3.0.jar'), version: '3.0' }
+]);
+check('getYafvaJarSources: plain jar for a pinned version needs a pinned sha256',
+  getYafvaJarSources({ mirror: 'https://mirror.example/', yafvaVersion: '3.0', yafvaSha256: 'abc' }).map(source => source.location),
+  ['https://mirror.example/yafva-3.0.jar', 'https://mirror.example/yafva.jar']);
+
+check('detectFormat: XML after a BOM and whitespace', ['\uFEFF<Patient/>', ' \r\n\t<?xml version="1.0"?><Patient/>', '\uFEFF {"resourceType":"Patient"}'].map(detectFormat), ['xml', 'xml', 'json']);
+check('detectFormat: Buffers and objects', [Buffer.from('\uFEFF\n<Patient/>'), Buffer.from('{"resourceType":"Patient"}'), { resourceType: 'Patient' }].map(detectFormat), ['xml', 'json', 'json']);
+const xmlBuffer = Buffer.from('<Patient xmlns="http://hl7.org/fhir"/>');
+const bufferPayload = toRequestPayload(xmlBuffer);
+check('toRequestPayload: Buffer sent as it is', { sameBody: bufferPayload.body === xmlBuffer, format: bufferPayload.format, contentType: bufferPayload.contentType }, {
+  sameBody: true, format: 'xml', contentType: 'application/fhir+xml'
+});
+check('toRequestPayload: explicit format wins', toRequestPayload('<Patient/>', 'json').contentType, 'application/fhir+json');
+const payloadError = (resource, format) => {
+  try {
+    toRequestPayload(resource, format);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+check('toRequestPayload: unknown explicit format', payloadError({ resourceType: 'Patient' }, 'yaml'), 'Invalid format "yaml". Expected one of: json, xml.');
+check('toRequestPayload: XML object', payloadError({ resourceType: 'Patient' }, 'xml'), 'XML resources must be passed as a string or Buffer.');
+
+const queue = new RequestQueue(2);
+let queueActive = 0;
+let queueMaxActive = 0;
+const queueStarted = [];
+const queueTask = (id, fails) => async () => {
+  queueStarted.push(id);
+  queueMaxActive = Math.max(queueMaxActive, ++queueActive);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  queueActive--;
+  if (fails) throw new Error(`Task ${id} failed`);
+  return id;
+};
+const queueOutcomes = await Promise.allSettled([1, 2, 3, 4, 5].map(id => queue.run(queueTask(id, id === 2))));
+check('RequestQueue: no more than concurrency tasks at once, first in first out', { maxActive: queueMaxActive, started: queueStarted }, { maxActive: 2, started: [1, 2, 3, 4, 5] });
+check('RequestQueue: settles with each task\'s outcome', queueOutcomes.map(outcome => outcome.value ?? outcome.reason.message), [1, 'Task 2 failed', 3, 4, 5]);
+const singleQueue = new RequestQueue(1);
+const afterRejected = Promise.allSettled([singleQueue.run(queueTask(6, true)), singleQueue.run(queueTask(7))]);
+let queueTimer;
+const queueTimeout = new Promise(resolve => {
+  queueTimer = setTimeout(resolve, 1000, 'timed out');
+});
+check('RequestQueue: a rejected task frees its slot', await Promise.race([afterRejected.then(outcomes => outcomes[1].value), queueTimeout]), 7);
+clearTimeout(queueTimer);
+
+// NDJSON over a stub validator whose later lines finish first
+const ndjsonCalls = [];
+let ndjsonActive = 0;
+let ndjsonMaxActive = 0;
+const ndjsonValidator = {
+  concurrency: 3,
+  validate: async (text) => {
+    const { id } = JSON.parse(text);
+    ndjsonCalls.push(id);
+    ndjsonMaxActive = Math.max(ndjsonMaxActive, ++ndjsonActive);
+    await new Promise(resolve => setTimeout(resolve, 20 - Number(id)));
+    ndjsonActive--;
+    if (id === '5') throw new Error('Validator crashed');
+    return new ValidationResult({ issues: id === '2' ? [{ level: 'ERROR', message: 'Bad' }] : [] });
+  }
+};
+const ndjsonInput = (lines) => {
+  const input = new PassThrough();
+  input.end(lines.join('\n'));
+  return input;
+};
+const ndjsonLines = ['1', '2', '', '3', '{ not json', '4', '5', '6'].map(id => id && !id.startsWith('{') ? JSON.stringify({ resourceType: 'Patient', id }) : id);
+
+const ndjson = validateNdjson(ndjsonValidator, ndjsonInput(ndjsonLines));
+const ndjsonRecords = [];
+for await (const record of ndjson) ndjsonRecords.push(record);
+// Only the start of the JSON error, since the parser's message differs between Node versions
+check('validateNdjson: records in input order, with line numbers', ndjsonRecords.map(({ line, id, error }) => ({ line, id, error: error?.message.split(':')[0] ?? null })), [
+  { line: 1, id: '1', error: null },
+  { line: 2, id: '2', error: null },
+  { line: 4, id: '3', error: null },
+  { line: 5, id: null, error: 'Invalid JSON on line 5' },
+  { line: 6, id: '4', error: null },
+  { line: 7, id: '5', error: 'Validator crashed' },
+  { line: 8, id: '6', error: null }
+]);
+check('validateNdjson: no more than concurrency lines in flight', ndjsonMaxActive, 3);
+check('validateNdjson: summary', (({ total, valid, invalid, failed, counts, completed }) => ({ total, valid, invalid, failed, counts, completed }))(await ndjson.summary), {
+  total: 7, valid: 4, invalid: 1, failed: 2, counts: { fatal: 0, error: 1, warning: 0, information: 0 }, completed: true
+});
+
+ndjsonCalls.length = 0;
+const stopped = validateNdjson(ndjsonValidator, ndjsonInput(ndjsonLines), { concurrency: 2 });
+for await (const record of stopped) {
+  check('validateNdjson: first record before the break', record.id, '1');
+  break;
+}
+check('validateNdjson: early break stops reading', ndjsonCalls, ['1', '2']);
+check('validateNdjson: summary after early break', (({ total, completed }) => ({ total, completed }))(await stopped.summary), { total: 1, completed: false });
+
+// The HTTP service, over a stub validator that echoes what it was asked to validate
+const stubValidator = {
+  state: 'ready',
+  pid: 1,
+  isHealthy: async () => true,
+  validate: async (resource, profiles) => ({ status: 'fulfilled', value: { resourceType: 'OperationOutcome', resource, profiles } })
+};
+const service = createValidationServer(stubValidator, { maxBodyBytes: 1000 });
+await new Promise(resolve => service.listen(0, '127.0.0.1', resolve));
+const serviceUrl = `http://127.0.0.1:${service.address().port}`;
+const request = (path, body) => new Promise((resolve, reject) => {
+  const req = http.request(serviceUrl + path, { method: body ? 'POST' : 'GET', headers: { 'Content-Type': 'application/fhir+json' } }, (res) => {
+    let text = '';
+    res.on('data', chunk => text += chunk);
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+const parametersBody = JSON.stringify({ resourceType: 'Parameters', parameter: [
+  { name: 'resource', resource: { resourceType: 'Patient' } },
+  { name: 'profile', valueCanonical: 'http://example.org/p2' }
+] });
+
+check('service: Parameters resource and profiles', (await request('/$validate?profile=http://example.org/p1', parametersBody)).body, {
+  resourceType: 'OperationOutcome', resource: { resourceType: 'Patient' }, profiles: ['http://example.org/p1', 'http://example.org/p2']
+});
+check('service: request size limit', (await request('/$validate', JSON.stringify({ resourceType: 'Patient', text: 'x'.repeat(1000) }))).status, 413);
+check('service: resource type of the endpoint', (await request('/Observation/$validate', '{"resourceType":"Patient"}')).status, 400);
+check('service: health', (await request('/health')).body, { status: 'up', validators: [{ state: 'ready', pid: 1, healthy: true }] });
+service.close();
+
+const exitHookRun = signalHandler => spawnSync(process.execPath, ['--input-type=module', '-e', `
+  import { addExitHook } from ${JSON.stringify(new URL('../src/exit-hooks.js', import.meta.url).href)};
+  addExitHook(() => console.log('hook'));
+  ${signalHandler ? 'process.on(\'SIGHUP\', () => console.log(\'handled\'));' : ''}
+  process.kill(process.pid, 'SIGHUP');
+  setTimeout(() => console.log('still running'), 100);
+`], { encoding: 'utf8', timeout: 10000 });
+check('addExitHook: runs on a signal the application does not handle', (({ stdout, signal }) => ({ stdout, signal }))(exitHookRun(false)), { stdout: 'hook\n', signal: 'SIGHUP' });
+check('addExitHook: leaves a handled signal to the application, runs at exit', exitHookRun(true).stdout, 'handled\nstill running\nhook\n');
+
+// Startup over stub Java executables: they answer `-version` and serve HTTP on --server.port
+if (process.platform !== 'win32') {
+  const stubDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fhir-validator-stub-'));
+  const writeStub = async (name, body) => {
+    const file = path.join(stubDir, name);
+    await fs.writeFile(file, `#!/usr/bin/env node
+if (process.argv.includes('-version')) {
+  console.error('openjdk version "21.0.5" 2024-10-15');
+  process.exit(0);
+}
+const port = Number(process.argv.find(arg => arg.startsWith('--server.port=')).split('=')[1]);
+const serve = () => require('http').createServer((req, res) => res.end('ok')).listen(port);
+${body}
+`, { mode: 0o755 });
+    return file;
+  };
+  const startupLog = [];
+  const stubOptions = javaPath => ({
+    javaPath,
+    startupTimeoutMs: 10000,
+    logLevel: 'info',
+    logger: { error: message => startupLog.push(message), warn: message => startupLog.push(message), info: () => {}, debug: () => {} }
+  });
+
+  // Logs nothing, e.g. with logging.level.root=WARN
+  const quietValidator = await createValidatorInstance(stubOptions(await writeStub('quiet-java', 'serve();')));
+  check('startup: ready once the server answers, without startup logs', quietValidator.state, 'ready');
+  await quietValidator.shutdown();
+
+  const takenValidator = await createValidatorInstance(stubOptions(await writeStub('taken-java', `
+const marker = require('path').join(__dirname, 'taken');
+if (require('fs').existsSync(marker)) {
+  serve();
+} else {
+  require('fs').writeFileSync(marker, '');
+  console.log('Web server failed to start. Port ' + port + ' was already in use.');
+  process.exit(1);
+}`)));
+  check('startup: retried on another port when the port was taken', {
+    state: takenValidator.state,
+    logged: startupLog.some(message => message.includes('the port was taken by another process'))
+  }, { state: 'ready', logged: true });
+  await takenValidator.shutdown();
+  await fs.remove(stubDir);
+}
+
+if (failures) {
+  console.error(`❌ ${failures} unit check(s) failed.`);
+  process.exit(1); // Failure exit code
+}